@@ -0,0 +1,242 @@
+/**
+ * Mirrors Bus announcements for registered models to other browsing contexts:
+ * other tabs (BroadcastChannel) and iframes, workers or MessagePorts (postMessage).
+ *
+ * Only models registered with the loader (`loader.define(key, model)`) are bridged,
+ * because Bus model IDs (`ref:mN`) differ in every context. Messages identify models
+ * by their loader key instead, so each context must register the model under the same key.
+ *
+ * @author Holmes Bryant <https://github.com/HolmesBryant>
+ * @license GPL-3.0
+ * @version 1.0
+ */
+
+import { crosstownBus } from './Bus.js';
+import { loader } from './Loader.js';
+import PathResolver from './PathResolver.js';
+import Reactive from './Reactive.js';
+
+const MESSAGE_TYPE = 'abind:bridge';
+const MAX_SEEN = 1000;
+
+export default class Bridge {
+  /**
+   * True while any bridge is applying a received change,
+   * so no bridge in this context sends it back out.
+   * @private
+   * @static
+   * @type {boolean}
+   */
+  static #applying = false;
+
+  #abortController = new AbortController();
+  #channel = null;
+  #counter = 0;
+  #keys;
+  #seen = new Set();
+  #source;
+  #targets = new Map();
+  #untap;
+
+  /**
+   * Starts mirroring announcements.
+   *
+   * @param {object} [options]
+   * @param {string|false} [options.channel='a-bind'] - BroadcastChannel name, or false for none.
+   * @param {string[]} [options.keys] - Only bridge these loader keys (default: all registered models).
+   * @param {Array<Window|Worker|MessagePort>} [options.targets=[]] - postMessage targets.
+   * @param {string} [options.origin] - Target origin for Window targets (default: this document's origin).
+   */
+  constructor({ channel = 'a-bind', keys, targets = [], origin } = {}) {
+    this.#keys = keys ? new Set(keys) : null;
+    this.#source = globalThis.crypto?.randomUUID?.() ?? Math.random().toString(36).slice(2);
+
+    if (channel && typeof BroadcastChannel !== 'undefined') {
+      this.#channel = new BroadcastChannel(channel);
+      this.#channel.addEventListener('message', event => this.#receive(event.data, this.#channel), {
+        signal: this.#abortController.signal
+      });
+    }
+
+    // Messages posted to this window (by a connected parent, iframe or opener) or to this worker
+    globalThis.addEventListener?.('message', event => {
+      if (this.#isWindow(globalThis)) {
+        if (!this.#targets.has(event.source)) return;
+        const origin = this.#targets.get(event.source);
+        if (origin !== '*' && origin !== event.origin) return;
+      }
+      this.#receive(event.data, event.source ?? globalThis);
+    }, { signal: this.#abortController.signal });
+
+    for (const target of targets) this.connect(target, origin);
+    this.#untap = crosstownBus.tap((model, path, value) => this.#send(model, path, value));
+  }
+
+  // --- Public ---
+
+  /**
+   * Adds a postMessage target.
+   * Messages from Workers and MessagePorts are received on the target itself;
+   * messages from Windows arrive on this context's 'message' event.
+   *
+   * @param {Window|Worker|MessagePort} target - The target.
+   * @param {string} [origin] - Target origin for Window targets (default: this document's origin).
+   */
+  connect(target, origin = globalThis.location?.origin) {
+    if (!target || this.#targets.has(target)) return;
+    this.#targets.set(target, origin);
+
+    // a worker's own scope is already covered by the global 'message' listener
+    if (target !== globalThis && !this.#isWindow(target) && typeof target.addEventListener === 'function') {
+      target.addEventListener('message', event => this.#receive(event.data, target), {
+        signal: this.#abortController.signal
+      });
+      target.start?.();
+    }
+  }
+
+  /**
+   * Removes a postMessage target.
+   * @param {Window|Worker|MessagePort} target - The target.
+   */
+  disconnect(target) {
+    this.#targets.delete(target);
+  }
+
+  /**
+   * Stops bridging and closes the BroadcastChannel.
+   */
+  dispose() {
+    this.#untap?.();
+    this.#abortController.abort();
+    this.#channel?.close();
+    this.#channel = null;
+    this.#targets.clear();
+    this.#seen.clear();
+  }
+
+  // --- Private ---
+
+  /**
+   * Checks if a target is a Window (iframe contentWindow, parent, opener).
+   * `instanceof Window` fails for windows from other realms.
+   *
+   * @private
+   * @param {any} target - The target.
+   * @returns {boolean}
+   */
+  #isWindow(target) {
+    return !!target && target.window === target;
+  }
+
+  /**
+   * Posts a message to every endpoint except the one it came from.
+   *
+   * @private
+   * @param {object} message - The message.
+   * @param {any} [from] - The endpoint the message was received from.
+   */
+  #post(message, from) {
+    if (this.#channel && from !== this.#channel) {
+      try {
+        this.#channel.postMessage(message);
+      } catch (error) {
+        console.warn('Bridge: Failed to broadcast', error);
+      }
+    }
+
+    for (const [target, origin] of this.#targets) {
+      if (target === from) continue;
+      try {
+        if (this.#isWindow(target)) target.postMessage(message, origin);
+        else target.postMessage(message);
+      } catch (error) {
+        console.warn('Bridge: Failed to post message', error);
+      }
+    }
+  }
+
+  /**
+   * Applies a message from another context, then relays it to the remaining endpoints.
+   * Messages from this bridge, or already seen, are ignored (loop prevention),
+   * as are messages whose model fails to load.
+   *
+   * @private
+   * @param {any} message - The received data.
+   * @param {any} from - The endpoint it came from.
+   */
+  #receive(message, from) {
+    if (message?.type !== MESSAGE_TYPE || message.source === this.#source) return;
+    if (typeof message.id !== 'string' || typeof message.key !== 'string' || typeof message.path !== 'string') return;
+    if (this.#seen.has(message.id)) return;
+
+    this.#seen.add(message.id);
+    if (this.#seen.size > MAX_SEEN) this.#seen.delete(this.#seen.values().next().value);
+
+    if (this.#keys && !this.#keys.has(message.key)) return;
+    if (!loader.has(message.key)) return;
+
+    loader.load(message.key)
+    .then(model => {
+      if (!model) return;
+      // write to the raw object, so a reactive model does not announce the change twice
+      // or record it in this context's undo history
+      const raw = Reactive.toRaw(model);
+      Bridge.#applying = true;
+      try {
+        if (PathResolver.setValue(raw, message.path, message.value)) {
+          crosstownBus.ripple(raw, message.path, message.value);
+        }
+      } finally {
+        Bridge.#applying = false;
+      }
+      this.#post(message, from);
+    })
+    .catch(error => {
+      console.warn(`Bridge: Failed to load model "${message.key}", message ignored`, error);
+    });
+  }
+
+  /**
+   * Sends a local change to every endpoint.
+   *
+   * @private
+   * @param {object} model - The model that changed.
+   * @param {string} path - The path that changed.
+   * @param {any} value - The new value.
+   */
+  #send(model, path, value) {
+    if (Bridge.#applying || typeof path !== 'string' || !path) return;
+    const key = loader.keyOf(model);
+    if (!key || (this.#keys && !this.#keys.has(key))) return;
+
+    const serialized = this.#serialize(value);
+    if (serialized === undefined && value !== undefined) {
+      console.warn(`Bridge: Cannot send "${key}.${path}" (value is not serializable)`);
+      return;
+    }
+
+    const id = `${this.#source}:${++this.#counter}`;
+    this.#post({ type: MESSAGE_TYPE, id, source: this.#source, key, path, value: serialized });
+  }
+
+  /**
+   * Makes a value safe to post: a structured clone, or a JSON copy if it cannot be cloned
+   * (e.g. reactive Proxies).
+   *
+   * @private
+   * @param {any} value - The value.
+   * @returns {any} The copy, or undefined if the value cannot be serialized.
+   */
+  #serialize(value) {
+    try {
+      return structuredClone(value);
+    } catch (error) {
+      try {
+        return JSON.parse(JSON.stringify(value));
+      } catch (error) {
+        return undefined;
+      }
+    }
+  }
+}
@@ -8,6 +8,8 @@
  * @version 1.0
  */
 
+import PathResolver from './PathResolver.js';
+
 /**
  * A simple event bus implementation for managing pub/sub patterns.
  * Supports unique key generation for object identity tracking.
@@ -20,6 +22,28 @@ class Bus {
    */
   #bozos = new Map();
 
+  /**
+   * Index of subscribed model keys, grouped by model ID.
+   * Lets `ripple()` find related paths without scanning every key.
+   * @private
+   * @type {Map<string, Map<string, string>>} modelId -> (path -> key)
+   */
+  #paths = new Map();
+
+  /**
+   * Announcements queued while `batch()` is running (key -> arguments).
+   * @private
+   * @type {Map<any, Array<any>>|null}
+   */
+  #queue = null;
+
+  /**
+   * Functions notified of every `ripple()` (model, path, value).
+   * @private
+   * @type {Set<Function>}
+   */
+  #taps = new Set();
+
   /**
    * WeakMap to associate objects with unique string IDs without modifying them.
    * @private
@@ -42,22 +66,45 @@ class Bus {
    * @returns {string} A namespaced key (e.g., `abus::ref:m1:propName`).
    */
   static getKey(model, property) {
-    let modelId;
+    return `abus::${Bus.#getId(model)}:${property}`;
+  }
+
+  /**
+   * Gives `alias` the same model ID as `model`, so keys generated for either
+   * object are identical. Used by wrappers (e.g. Proxies) that must reach the
+   * subscribers of the object they wrap.
+   *
+   * @param {object|function} alias - The object that should share the ID.
+   * @param {object|function} model - The object whose ID is shared.
+   */
+  static alias(alias, model) {
+    Bus.#modelIds.set(alias, Bus.#getId(model));
+  }
+
+  /**
+   * Returns the model ID used in subscription keys.
+   * - Objects are assigned a persistent ID via WeakMap (`ref:m...`).
+   * - Primitives use their value directly (`val:...`).
+   *
+   * @private
+   * @param {any} model - The data model or primitive value.
+   * @returns {string}
+   */
+  static #getId(model) {
     if (typeof model === 'object' &&
       model !== null ||
       typeof model === 'function') {
-      modelId = Bus.#modelIds.get(model);
+      let modelId = Bus.#modelIds.get(model);
       if (!modelId) {
         // Add "ref:" prefix for Objects
         modelId = `ref:m${++Bus.#idCounter}`;
         Bus.#modelIds.set(model, modelId);
       }
-    } else {
-      // Add "val:" prefix for Primitives
-      modelId = `val:${String(model)}`;
+      return modelId;
     }
 
-    return `abus::${modelId}:${property}`;
+    // Add "val:" prefix for Primitives
+    return `val:${String(model)}`;
   }
 
   /**
@@ -85,6 +132,7 @@ class Bus {
     if (!troupe) {
       troupe = new Set();
       this.#bozos.set(bozo, troupe);
+      this.#index(bozo, true);
     }
 
     troupe.add(funk);
@@ -100,7 +148,10 @@ class Bus {
     const troupe = this.#bozos.get(bozo);
     if (troupe) {
       troupe.delete(funk);
-      if (troupe.size === 0) this.#bozos.delete(bozo);
+      if (troupe.size === 0) {
+        this.#bozos.delete(bozo);
+        this.#index(bozo, false);
+      }
     }
   }
 
@@ -112,6 +163,18 @@ class Bus {
    * @param {...any} argue - Arguments to pass to the listener functions.
    */
   announce(bozo, ...argue) {
+    if (this.#queue) {
+      // last write wins, in the order of the last write.
+      // Extra arguments describe a single change (e.g. a splice record),
+      // so only the value survives when a key is announced more than once.
+      if (this.#queue.has(bozo)) {
+        this.#queue.delete(bozo);
+        argue = argue.slice(0, 1);
+      }
+      this.#queue.set(bozo, argue);
+      return;
+    }
+
     const troupe = this.#bozos.get(bozo);
     if (!troupe) return;
     for (const trouper of troupe) {
@@ -123,6 +186,78 @@ class Bus {
     }
   }
 
+  /**
+   * Runs `funk` and holds every announcement it makes until it returns,
+   * then announces each key once with its last value.
+   * Nested calls join the outer batch.
+   *
+   * @param {Function} funk - The function making the changes.
+   * @returns {any} The return value of `funk`.
+   */
+  batch(funk) {
+    if (this.#queue) return funk();
+
+    this.#queue = new Map();
+    try {
+      return funk();
+    } finally {
+      const queued = this.#queue;
+      this.#queue = null;
+      for (const [bozo, argue] of queued) this.announce(bozo, ...argue);
+    }
+  }
+
+  /**
+   * Announces a change to `path` on `model`, then ripples it out to every subscribed
+   * ancestor path (`user` when `user.name` changes) and descendant path
+   * (`user.name` when `user` is replaced) of the same model.
+   * Related subscribers receive their own value, re-read via `PathResolver.getValue`.
+   *
+   * @param {object|function} model - The model that changed.
+   * @param {string} path - The path that changed (e.g. `user.name`).
+   * @param {any} value - The new value at `path`.
+   * @param {...any} argue - Extra arguments passed only to subscribers of `path` itself.
+   */
+  ripple(model, path, value, ...argue) {
+    const key = Bus.getKey(model, path);
+    this.announce(key, value, ...argue);
+
+    for (const funk of this.#taps) {
+      try {
+        funk(model, path, value);
+      } catch (error) {
+        console.error('Bus: error in tap', error);
+      }
+    }
+
+    const paths = this.#paths.get(Bus.#getId(model));
+    if (!paths || path === undefined || path === null) return;
+
+    const changed = String(path);
+    for (const [related, relatedKey] of paths) {
+      if (relatedKey === key) continue;
+      if (related.startsWith(`${changed}.`) || changed.startsWith(`${related}.`)) {
+        this.announce(relatedKey, PathResolver.getValue(model, related));
+      }
+    }
+  }
+
+  /**
+   * Observes every model change announced with `ripple()`, whatever its key.
+   * Used by bridges that mirror changes to other contexts.
+   *
+   * @param {Function} funk - Called with `(model, path, value)`.
+   * @returns {Function} A function that removes the tap.
+   */
+  tap(funk) {
+    if (typeof funk !== 'function') {
+      console.error('Bus: funk must be a function');
+      return () => {};
+    }
+    this.#taps.add(funk);
+    return () => this.#taps.delete(funk);
+  }
+
   /**
    * Subscribes a function to an event for a single execution.
    * Automatically unsubscribes after the first trigger.
@@ -139,6 +274,34 @@ class Bus {
     return off;
   }
 
+  /**
+   * Adds or removes a key from the model/path index used by `ripple()`.
+   * Only object model keys (`abus::ref:...`) are indexed; primitives have no paths to re-read.
+   *
+   * @private
+   * @param {any} bozo - The event name/identifier.
+   * @param {boolean} add - True to add, false to remove.
+   */
+  #index(bozo, add) {
+    if (typeof bozo !== 'string') return;
+    const match = /^abus::(ref:m\d+):(.*)$/.exec(bozo);
+    if (!match) return;
+
+    const [, modelId, path] = match;
+    let paths = this.#paths.get(modelId);
+
+    if (add) {
+      if (!paths) {
+        paths = new Map();
+        this.#paths.set(modelId, paths);
+      }
+      paths.set(path, bozo);
+    } else if (paths) {
+      paths.delete(path);
+      if (paths.size === 0) this.#paths.delete(modelId);
+    }
+  }
+
   /**
    * Gets a list of all currently registered event names.
    * @type {Array<any>}
@@ -0,0 +1,524 @@
+/**
+ * A small, sandboxed expression language for computed bindings.
+ * Expressions are tokenized and parsed into a tree once, then evaluated against a model
+ * without `eval` or `Function`, so it is safe under a strict Content Security Policy.
+ *
+ * Supported syntax:
+ * - Literals: numbers, 'single' or "double" quoted strings, true, false, null, undefined.
+ * - Paths: `user.name`, `items[0]`, `map[key]`.
+ * - Operators: `+ - * / %`, `< > <= >=`, `== != === !==`, `&& || ??`, `!`, unary `-`/`+`, `a ? b : c`.
+ * - Grouping with parentheses.
+ * - Filters: `name | uppercase`, `price * qty | currency:'EUR'`. Each filter is a formatter's
+ *   `toView` (see Formatters); arguments follow `:` and may be literals or paths.
+ *
+ * Function calls are not allowed, and unsafe segments (see `PathResolver.isUnsafe`) are rejected.
+ *
+ * @author Holmes Bryant <https://github.com/HolmesBryant>
+ * @license GPL-3.0
+ * @version 1.0
+ */
+
+import PathResolver from './PathResolver.js';
+import { formatters } from './Formatters.js';
+
+const PUNCTUATORS = [
+  '===', '!==', '==', '!=', '<=', '>=', '&&', '||', '??',
+  '+', '-', '*', '/', '%', '<', '>', '!', '?', ':', '.', '(', ')', '[', ']', '|'
+];
+
+const KEYWORDS = {
+  true: true,
+  false: false,
+  null: null,
+  undefined: undefined
+};
+
+const BINARY_PRECEDENCE = {
+  '??': 1,
+  '||': 2,
+  '&&': 3,
+  '==': 4, '!=': 4, '===': 4, '!==': 4,
+  '<': 5, '>': 5, '<=': 5, '>=': 5,
+  '+': 6, '-': 6,
+  '*': 7, '/': 7, '%': 7
+};
+
+export default class Expression {
+  /**
+   * Internal LRU cache of compiled expressions.
+   * @private
+   * @static
+   * @type {Map<string, Expression>}
+   */
+  static #cache = new Map();
+
+  /**
+   * Maximum size of the expression cache before older entries are evicted.
+   * @private
+   * @static
+   * @type {number}
+   */
+  static #maxCacheSize = 500;
+
+  /**
+   * The original source text.
+   * @type {string}
+   */
+  source;
+
+  /**
+   * Every model path the expression reads (e.g. ['firstName', 'lastName']).
+   * @type {string[]}
+   */
+  paths;
+
+  #ast;
+  #pos = 0;
+  #tokens;
+
+  /**
+   * Parses an expression. Prefer `Expression.compile()`, which caches the result.
+   * @param {string} source - The expression text.
+   * @throws {Error} If the expression is malformed or unsafe.
+   */
+  constructor(source) {
+    this.source = String(source);
+    this.#tokens = this.#tokenize(this.source);
+    this.#ast = this.#parseFilters();
+    if (this.#peek()) this.#unexpected(this.#peek());
+
+    const paths = new Set();
+    this.#collectPaths(this.#ast, paths);
+    this.paths = [...paths];
+    this.#tokens = null;
+  }
+
+  // --- Static ---
+
+  /**
+   * Returns a compiled (and cached) expression.
+   *
+   * @static
+   * @param {string} source - The expression text.
+   * @returns {Expression}
+   * @throws {Error} If the expression is malformed or unsafe.
+   */
+  static compile(source) {
+    if (this.#cache.has(source)) {
+      const expr = this.#cache.get(source);
+      this.#cache.delete(source);
+      this.#cache.set(source, expr);
+      return expr;
+    }
+
+    const expr = new Expression(source);
+
+    if (this.#cache.size >= this.#maxCacheSize) {
+      const oldestKey = this.#cache.keys().next().value;
+      this.#cache.delete(oldestKey);
+    }
+
+    this.#cache.set(source, expr);
+    return expr;
+  }
+
+  // --- Public ---
+
+  /**
+   * Evaluates the expression.
+   *
+   * @param {object|Function} context - The object paths are resolved against,
+   *   or a function that receives a path string and returns its value.
+   * @returns {any} The result.
+   */
+  evaluate(context) {
+    const lookup = (typeof context === 'function') ?
+      context :
+      path => PathResolver.getValue(context, path);
+
+    return this.#evaluate(this.#ast, lookup);
+  }
+
+  // --- Private: Evaluation ---
+
+  /**
+   * Adds every path read by a node (and its children) to `paths`.
+   * @private
+   * @param {object} node - AST node.
+   * @param {Set<string>} paths - Accumulator.
+   */
+  #collectPaths(node, paths) {
+    switch (node.type) {
+      case 'path':
+        paths.add(node.path);
+        break;
+      case 'member':
+        this.#collectPaths(node.object, paths);
+        this.#collectPaths(node.property, paths);
+        break;
+      case 'unary':
+        this.#collectPaths(node.argument, paths);
+        break;
+      case 'binary':
+        this.#collectPaths(node.left, paths);
+        this.#collectPaths(node.right, paths);
+        break;
+      case 'conditional':
+        this.#collectPaths(node.test, paths);
+        this.#collectPaths(node.consequent, paths);
+        this.#collectPaths(node.alternate, paths);
+        break;
+      case 'filter':
+        this.#collectPaths(node.input, paths);
+        for (const arg of node.args) this.#collectPaths(arg, paths);
+        break;
+    }
+  }
+
+  /**
+   * Recursively evaluates an AST node.
+   * @private
+   * @param {object} node - AST node.
+   * @param {Function} lookup - Resolves a path string to a value.
+   * @returns {any}
+   */
+  #evaluate(node, lookup) {
+    switch (node.type) {
+      case 'literal':
+        return node.value;
+
+      case 'path':
+        return lookup(node.path);
+
+      case 'member': {
+        const object = this.#evaluate(node.object, lookup);
+        const key = this.#evaluate(node.property, lookup);
+        if (PathResolver.isUnsafe([String(key)])) {
+          console.warn(`Expression: Blocked access to unsafe property "${key}"`);
+          return undefined;
+        }
+        return object?.[key];
+      }
+
+      case 'unary': {
+        const value = this.#evaluate(node.argument, lookup);
+        switch (node.operator) {
+          case '!': return !value;
+          case '-': return -value;
+          case '+': return +value;
+        }
+        break;
+      }
+
+      case 'binary': {
+        // short-circuit operators
+        if (node.operator === '&&') return this.#evaluate(node.left, lookup) && this.#evaluate(node.right, lookup);
+        if (node.operator === '||') return this.#evaluate(node.left, lookup) || this.#evaluate(node.right, lookup);
+        if (node.operator === '??') return this.#evaluate(node.left, lookup) ?? this.#evaluate(node.right, lookup);
+
+        const left = this.#evaluate(node.left, lookup);
+        const right = this.#evaluate(node.right, lookup);
+        switch (node.operator) {
+          case '+': return left + right;
+          case '-': return left - right;
+          case '*': return left * right;
+          case '/': return left / right;
+          case '%': return left % right;
+          case '<': return left < right;
+          case '>': return left > right;
+          case '<=': return left <= right;
+          case '>=': return left >= right;
+          case '==': return left == right;
+          case '!=': return left != right;
+          case '===': return left === right;
+          case '!==': return left !== right;
+        }
+        break;
+      }
+
+      case 'conditional':
+        return this.#evaluate(node.test, lookup) ?
+          this.#evaluate(node.consequent, lookup) :
+          this.#evaluate(node.alternate, lookup);
+
+      case 'filter': {
+        const value = this.#evaluate(node.input, lookup);
+        const args = node.args.map(arg => this.#evaluate(arg, lookup));
+        return formatters.toView(value, [{ name: node.name, args }]);
+      }
+    }
+
+    return undefined;
+  }
+
+  // --- Private: Parsing ---
+
+  /**
+   * Consumes the next token if it matches `value`.
+   * @private
+   * @param {string} value - The punctuator to match.
+   * @returns {boolean} True if consumed.
+   */
+  #accept(value) {
+    const token = this.#peek();
+    if (token?.type === 'punc' && token.value === value) {
+      this.#pos++;
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Consumes the next token, throwing if it does not match `value`.
+   * @private
+   * @param {string} value - The expected punctuator.
+   */
+  #expect(value) {
+    if (!this.#accept(value)) {
+      const token = this.#peek();
+      if (token) this.#unexpected(token);
+      throw new Error(`Expression: Expected "${value}" at end of "${this.source}"`);
+    }
+  }
+
+  /**
+   * Parses a full expression (lowest precedence: the conditional operator).
+   * @private
+   * @returns {object} AST node.
+   */
+  #parseExpression() {
+    const test = this.#parseBinary(0);
+    if (!this.#accept('?')) return test;
+
+    const consequent = this.#parseExpression();
+    this.#expect(':');
+    const alternate = this.#parseExpression();
+    return { type: 'conditional', test, consequent, alternate };
+  }
+
+  /**
+   * Parses an expression followed by any `| filter:arg:arg` pipes (the lowest precedence).
+   * @private
+   * @returns {object} AST node.
+   */
+  #parseFilters() {
+    let node = this.#parseExpression();
+
+    while (this.#accept('|')) {
+      const token = this.#next();
+      if (token?.type !== 'ident') this.#unexpected(token);
+
+      const args = [];
+      while (this.#accept(':')) args.push(this.#parseUnary());
+      node = { type: 'filter', name: token.value, input: node, args };
+    }
+
+    return node;
+  }
+
+  /**
+   * Precedence-climbing parser for binary operators.
+   * @private
+   * @param {number} minPrecedence - Minimum operator precedence to consume.
+   * @returns {object} AST node.
+   */
+  #parseBinary(minPrecedence) {
+    let left = this.#parseUnary();
+
+    while (true) {
+      const token = this.#peek();
+      const precedence = (token?.type === 'punc') ? BINARY_PRECEDENCE[token.value] : undefined;
+      if (precedence === undefined || precedence <= minPrecedence) return left;
+
+      this.#pos++;
+      const right = this.#parseBinary(precedence);
+      left = { type: 'binary', operator: token.value, left, right };
+    }
+  }
+
+  /**
+   * Parses unary operators.
+   * @private
+   * @returns {object} AST node.
+   */
+  #parseUnary() {
+    for (const operator of ['!', '-', '+']) {
+      if (this.#accept(operator)) {
+        return { type: 'unary', operator, argument: this.#parseUnary() };
+      }
+    }
+    return this.#parseMember();
+  }
+
+  /**
+   * Parses a primary value followed by any `.name` or `[expr]` accessors.
+   * Chains of static accessors on a path are folded into a single path node,
+   * so `user.address.city` is tracked as one dependency.
+   * @private
+   * @returns {object} AST node.
+   */
+  #parseMember() {
+    let node = this.#parsePrimary();
+
+    while (true) {
+      if (this.#accept('.')) {
+        const token = this.#next();
+        if (token?.type !== 'ident') this.#unexpected(token);
+        this.#assertSafe(token.value);
+
+        node = (node.type === 'path') ?
+          { type: 'path', path: `${node.path}.${token.value}` } :
+          { type: 'member', object: node, property: { type: 'literal', value: token.value } };
+      } else if (this.#accept('[')) {
+        const property = this.#parseExpression();
+        this.#expect(']');
+
+        if (property.type === 'literal' && node.type === 'path') {
+          this.#assertSafe(String(property.value));
+          node = { type: 'path', path: `${node.path}.${property.value}` };
+        } else {
+          node = { type: 'member', object: node, property };
+        }
+      } else if (this.#accept('(')) {
+        throw new Error(`Expression: Function calls are not allowed in "${this.source}"`);
+      } else {
+        return node;
+      }
+    }
+  }
+
+  /**
+   * Parses literals, identifiers and parenthesized groups.
+   * @private
+   * @returns {object} AST node.
+   */
+  #parsePrimary() {
+    const token = this.#next();
+    if (!token) throw new Error(`Expression: Unexpected end of "${this.source}"`);
+
+    switch (token.type) {
+      case 'number':
+      case 'string':
+        return { type: 'literal', value: token.value };
+
+      case 'ident':
+        if (Object.prototype.hasOwnProperty.call(KEYWORDS, token.value)) {
+          return { type: 'literal', value: KEYWORDS[token.value] };
+        }
+        this.#assertSafe(token.value);
+        return { type: 'path', path: token.value };
+
+      case 'punc':
+        if (token.value === '(') {
+          const node = this.#parseFilters();
+          this.#expect(')');
+          return node;
+        }
+    }
+
+    this.#unexpected(token);
+  }
+
+  // --- Private: Tokenizing ---
+
+  /**
+   * Splits the source into tokens.
+   * @private
+   * @param {string} source - The expression text.
+   * @returns {Array<{type: string, value: any, index: number}>}
+   */
+  #tokenize(source) {
+    const tokens = [];
+    let i = 0;
+
+    while (i < source.length) {
+      const char = source[i];
+
+      if (/\s/.test(char)) {
+        i++;
+        continue;
+      }
+
+      const prev = tokens[tokens.length - 1];
+      const afterDot = prev?.type === 'punc' && prev.value === '.';
+      const afterValue = prev && (prev.type !== 'punc' || prev.value === ')' || prev.value === ']');
+
+      // numeric path segments (items.0.name)
+      if (afterDot && /[0-9]/.test(char)) {
+        const match = /^\d+/.exec(source.slice(i));
+        tokens.push({ type: 'ident', value: match[0], index: i });
+        i += match[0].length;
+        continue;
+      }
+
+      // numbers
+      if (/[0-9]/.test(char) || (char === '.' && !afterValue && /[0-9]/.test(source[i + 1]))) {
+        const match = /^(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?/.exec(source.slice(i));
+        tokens.push({ type: 'number', value: parseFloat(match[0]), index: i });
+        i += match[0].length;
+        continue;
+      }
+
+      // identifiers & keywords
+      if (/[A-Za-z_$]/.test(char)) {
+        const match = /^[A-Za-z_$][\w$]*/.exec(source.slice(i));
+        tokens.push({ type: 'ident', value: match[0], index: i });
+        i += match[0].length;
+        continue;
+      }
+
+      // strings
+      if (char === '"' || char === "'") {
+        let value = '';
+        let j = i + 1;
+        while (j < source.length && source[j] !== char) {
+          if (source[j] === '\\' && j + 1 < source.length) j++;
+          value += source[j++];
+        }
+        if (j >= source.length) throw new Error(`Expression: Unterminated string in "${source}"`);
+        tokens.push({ type: 'string', value, index: i });
+        i = j + 1;
+        continue;
+      }
+
+      // punctuators (longest match first)
+      const punc = PUNCTUATORS.find(p => source.startsWith(p, i));
+      if (punc) {
+        tokens.push({ type: 'punc', value: punc, index: i });
+        i += punc.length;
+        continue;
+      }
+
+      throw new Error(`Expression: Unexpected character "${char}" at ${i} in "${source}"`);
+    }
+
+    return tokens;
+  }
+
+  // --- Private: Helpers ---
+
+  /**
+   * Throws if a path segment is unsafe.
+   * @private
+   * @param {string} segment - The identifier or property name.
+   */
+  #assertSafe(segment) {
+    if (PathResolver.isUnsafe([segment])) {
+      throw new Error(`Expression: Blocked unsafe path segment "${segment}" in "${this.source}"`);
+    }
+  }
+
+  #next() { return this.#tokens[this.#pos++] }
+
+  #peek() { return this.#tokens[this.#pos] }
+
+  /**
+   * @private
+   * @param {object} token - The offending token.
+   * @throws {Error}
+   */
+  #unexpected(token) {
+    if (!token) throw new Error(`Expression: Unexpected end of "${this.source}"`);
+    throw new Error(`Expression: Unexpected "${token.value}" at ${token.index} in "${this.source}"`);
+  }
+}
@@ -0,0 +1,293 @@
+/**
+ * A registry of value formatters (pipes) used to convert values between the Model and the View.
+ * Each formatter may define `toView(value, ...args)` (Model -> View) and/or
+ * `toModel(value, ...args)` (View -> Model).
+ *
+ * Pipe specs chain formatters with `|` and pass arguments with `:`,
+ * e.g. `"trim|uppercase"` or `"currency:USD:en-US"`.
+ *
+ * @author Holmes Bryant <https://github.com/HolmesBryant>
+ * @license GPL-3.0
+ * @version 1.0
+ */
+
+export default class Formatters {
+  /**
+   * Registered formatters by name.
+   * @private
+   * @type {Map<string, {toView?: Function, toModel?: Function}>}
+   */
+  #registry = new Map();
+
+  /**
+   * Names of unknown formatters that have already been reported.
+   * @private
+   * @type {Set<string>}
+   */
+  #warned = new Set();
+
+  // --- Public ---
+
+  /**
+   * Registers (or replaces) a formatter.
+   *
+   * @param {string} name - The name used in pipe specs.
+   * @param {{toView?: Function, toModel?: Function}|Function} formatter -
+   *   An object with conversion functions, or a single function used for `toView`.
+   */
+  define(name, formatter) {
+    if (typeof formatter === 'function') formatter = { toView: formatter };
+    if (!formatter || typeof formatter !== 'object') {
+      console.error(`Formatters: "${name}" must be a function or an object with toView/toModel`);
+      return;
+    }
+    this.#registry.set(name, formatter);
+    this.#warned.delete(name);
+  }
+
+  /**
+   * Retrieves a formatter by name.
+   * @param {string} name - The formatter name.
+   * @returns {{toView?: Function, toModel?: Function}|undefined}
+   */
+  get(name) {
+    return this.#registry.get(name);
+  }
+
+  /**
+   * Checks if a formatter is registered.
+   * @param {string} name - The formatter name.
+   * @returns {boolean}
+   */
+  has(name) {
+    return this.#registry.has(name);
+  }
+
+  /**
+   * Parses a pipe spec into a list of formatter names and arguments.
+   *
+   * @param {string} spec - e.g. `"currency:USD|trim"`.
+   * @returns {Array<{name: string, args: string[]}>}
+   */
+  parse(spec) {
+    if (!spec) return [];
+    return String(spec)
+      .split('|')
+      .map(pipe => pipe.trim())
+      .filter(Boolean)
+      .map(pipe => {
+        const [name, ...args] = pipe.split(':').map(part => part.trim());
+        return { name, args };
+      });
+  }
+
+  /**
+   * Converts a Model value for display, running each pipe's `toView` from left to right.
+   *
+   * @param {any} value - The model value.
+   * @param {string|Array<{name: string, args: string[]}>} pipes - A spec or parsed pipes.
+   * @returns {any} The view value.
+   */
+  toView(value, pipes) {
+    return this.#run(value, pipes, 'toView');
+  }
+
+  /**
+   * Converts a View value for the Model, running each pipe's `toModel` from left to right.
+   *
+   * @param {any} value - The view value.
+   * @param {string|Array<{name: string, args: string[]}>} pipes - A spec or parsed pipes.
+   * @returns {any} The model value.
+   */
+  toModel(value, pipes) {
+    return this.#run(value, pipes, 'toModel');
+  }
+
+  /**
+   * Gets a list of registered formatter names.
+   * @type {string[]}
+   */
+  get names() { return Array.from(this.#registry.keys()) }
+
+  // --- Private ---
+
+  /**
+   * Runs a value through a list of pipes using the given direction.
+   * Missing formatters or missing directions pass the value through unchanged.
+   *
+   * @private
+   * @param {any} value - The value to convert.
+   * @param {string|Array} pipes - A spec or parsed pipes.
+   * @param {'toView'|'toModel'} direction - The conversion to run.
+   * @returns {any}
+   */
+  #run(value, pipes, direction) {
+    if (typeof pipes === 'string') pipes = this.parse(pipes);
+    if (!pipes?.length) return value;
+
+    for (const { name, args } of pipes) {
+      const formatter = this.#registry.get(name);
+      if (!formatter) {
+        if (!this.#warned.has(name)) {
+          this.#warned.add(name);
+          console.warn(`Formatters: Unknown formatter "${name}"`);
+        }
+        continue;
+      }
+
+      const fn = formatter[direction];
+      if (typeof fn !== 'function') continue;
+
+      try {
+        value = fn(value, ...args);
+      } catch (error) {
+        console.error(`Formatters: "${name}.${direction}()" failed`, error);
+      }
+    }
+
+    return value;
+  }
+}
+
+// --- Built-ins ---
+
+const isEmpty = value => value === null || value === undefined || value === '';
+const locale = lang => lang || globalThis.document?.documentElement?.lang || undefined;
+const pad = num => String(num).padStart(2, '0');
+
+const toNumber = value => {
+  if (isEmpty(value)) return null;
+  const num = Number(value);
+  return Number.isNaN(num) ? null : num;
+};
+
+// Parses a number written with a locale's separators, e.g. "1.234,56 €" in de-DE
+const toLocaleNumber = (value, lang) => {
+  const parts = new Intl.NumberFormat(locale(lang)).formatToParts(-12345.6);
+  const symbol = type => parts.find(part => part.type === type)?.value;
+  let str = value;
+  if (symbol('group')) str = str.split(symbol('group')).join('');
+  str = str.split(symbol('decimal') ?? '.').join('.').split(symbol('minusSign') ?? '-').join('-');
+  return toNumber(str.replace(/[^\d.-]/g, ''));
+};
+
+const toDate = value => {
+  if (isEmpty(value)) return null;
+  if (value instanceof Date) return value;
+  // "YYYY-MM-DD" from date inputs is a local date, not UTC midnight
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+  const date = match ? new Date(match[1], match[2] - 1, match[3]) : new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * Global singleton instance of the formatter registry.
+ * @type {Formatters}
+ */
+const formatters = new Formatters();
+
+// Pass-through. Use parse="raw" to disable automatic JSON conversion.
+formatters.define('raw', {
+  toView: value => value,
+  toModel: value => value
+});
+
+formatters.define('number', {
+  toView: (value, digits) => {
+    if (isEmpty(value)) return '';
+    return (digits !== undefined) ? Number(value).toFixed(parseInt(digits)) : String(value);
+  },
+  toModel: value => toNumber(value)
+});
+
+formatters.define('int', {
+  toView: value => isEmpty(value) ? '' : String(Math.trunc(Number(value))),
+  toModel: value => {
+    if (isEmpty(value)) return null;
+    const num = parseInt(value, 10);
+    return Number.isNaN(num) ? null : num;
+  }
+});
+
+// Date <-> "YYYY-MM-DD" (the format used by <input type="date">)
+formatters.define('date', {
+  toView: value => {
+    const date = toDate(value);
+    if (!date) return '';
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+  },
+  toModel: value => toDate(value)
+});
+
+formatters.define('json', {
+  toView: (value, indent) => {
+    if (value === undefined) return '';
+    return JSON.stringify(value, null, indent ? parseInt(indent) : undefined);
+  },
+  toModel: value => {
+    if (typeof value !== 'string') return value;
+    try { return JSON.parse(value) } catch (error) { return value }
+  }
+});
+
+formatters.define('trim', {
+  toView: value => (typeof value === 'string') ? value.trim() : value,
+  toModel: value => (typeof value === 'string') ? value.trim() : value
+});
+
+formatters.define('uppercase', {
+  toView: value => (typeof value === 'string') ? value.toUpperCase() : value,
+  toModel: value => (typeof value === 'string') ? value.toUpperCase() : value
+});
+
+formatters.define('lowercase', {
+  toView: value => (typeof value === 'string') ? value.toLowerCase() : value,
+  toModel: value => (typeof value === 'string') ? value.toLowerCase() : value
+});
+
+// short aliases for use in template tokens ({{ name | upper }})
+formatters.define('upper', formatters.get('uppercase'));
+formatters.define('lower', formatters.get('lowercase'));
+
+// Intl-based formatters
+
+// currency:USD[:locale]
+formatters.define('currency', {
+  toView: (value, currency = 'USD', lang) => {
+    if (isEmpty(value) || Number.isNaN(Number(value))) return '';
+    return new Intl.NumberFormat(locale(lang), { style: 'currency', currency }).format(value);
+  },
+  toModel: (value, currency, lang) => (typeof value === 'string') ? toLocaleNumber(value, lang) : value
+});
+
+// percent[:fractionDigits[:locale]] (0.25 <-> "25%")
+formatters.define('percent', {
+  toView: (value, digits = 0, lang) => {
+    if (isEmpty(value) || Number.isNaN(Number(value))) return '';
+    const fractionDigits = parseInt(digits) || 0;
+    return new Intl.NumberFormat(locale(lang), {
+      style: 'percent',
+      minimumFractionDigits: fractionDigits,
+      maximumFractionDigits: fractionDigits
+    }).format(value);
+  },
+  toModel: (value, digits, lang) => {
+    if (typeof value !== 'string') return value;
+    const num = toLocaleNumber(value, lang);
+    return (num === null) ? null : num / 100;
+  }
+});
+
+// datetime[:dateStyle[:timeStyle[:locale]]] (display only)
+formatters.define('datetime', {
+  toView: (value, dateStyle = 'medium', timeStyle, lang) => {
+    const date = toDate(value);
+    if (!date) return '';
+    const options = { dateStyle };
+    if (timeStyle) options.timeStyle = timeStyle;
+    return new Intl.DateTimeFormat(locale(lang), options).format(date);
+  }
+});
+
+Object.freeze(formatters);
+export { formatters };
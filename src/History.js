@@ -0,0 +1,271 @@
+/**
+ * Undo/redo history for bound model changes.
+ * Records every View -> Model write made by <a-bind>, every `ABind.update()` call and every
+ * assignment on a reactive model, grouped into one transaction per scheduler frame.
+ * Undo and redo re-apply the recorded values and re-announce them on the Bus.
+ *
+ * @author Holmes Bryant <https://github.com/HolmesBryant>
+ * @license GPL-3.0
+ * @version 1.0
+ */
+
+import Bus, { crosstownBus } from './Bus.js';
+import PathResolver from './PathResolver.js';
+import Reactive from './Reactive.js';
+import { scheduler } from './Schedule.js';
+
+const UNKNOWN = Symbol('history.unknown');
+
+export default class History {
+  /**
+   * Every active (not disposed) History instance.
+   * @private
+   * @static
+   * @type {Set<History>}
+   */
+  static #instances = new Set();
+
+  /**
+   * Last known value of each model path.
+   * Lets `ABind.update()` calls be undone even though the model was assigned before the call.
+   * @private
+   * @static
+   * @type {WeakMap<object, Map<string, any>>}
+   */
+  static #known = new WeakMap();
+
+  /**
+   * Greater than zero while undo/redo is applying values (suppresses recording).
+   * @private
+   * @static
+   * @type {number}
+   */
+  static #replaying = 0;
+
+  #group;
+  #model;
+  #open = null;
+  #redoStack = [];
+  #undoStack = [];
+
+  /**
+   * Maximum number of transactions kept on the undo stack.
+   * @type {number}
+   */
+  limit = 100;
+
+  /**
+   * Creates a history and starts recording.
+   *
+   * @param {object} [options]
+   * @param {object} [options.model] - Only record changes to this model.
+   * @param {HTMLElement} [options.group] - Only record changes to this <a-bindgroup>'s model.
+   * @param {number} [options.limit=100] - Maximum number of undoable transactions.
+   */
+  constructor({ model, group, limit } = {}) {
+    this.#model = model;
+    this.#group = group;
+    if (limit) this.limit = limit;
+    History.#instances.add(this);
+  }
+
+  // --- Static ---
+
+  /**
+   * Reports a model change to every active history in scope.
+   * If `oldValue` is not given, the last known value of the path is used;
+   * changes with no known previous value are not recorded.
+   * A reactive Proxy and its raw object are the same model.
+   *
+   * @static
+   * @param {object} model - The model that changed.
+   * @param {string} path - The path that changed.
+   * @param {any} newValue - The new value.
+   * @param {any} [oldValue] - The previous value.
+   */
+  static capture(model, path, newValue, oldValue = History.#recall(model, path)) {
+    if (typeof model !== 'object' && typeof model !== 'function' || model === null || !path) return;
+    model = Reactive.toRaw(model);
+    History.remember(model, path, newValue);
+    if (History.#replaying || oldValue === UNKNOWN || oldValue === newValue) return;
+
+    for (const history of History.#instances) {
+      history.#record(model, path, oldValue, newValue);
+    }
+  }
+
+  /**
+   * Stores the current value of a model path without recording a change.
+   * <a-bind> calls this when it first syncs a view.
+   *
+   * @static
+   * @param {object} model - The model.
+   * @param {string} path - The path.
+   * @param {any} value - The current value.
+   */
+  static remember(model, path, value) {
+    if (typeof model !== 'object' && typeof model !== 'function' || model === null || !path) return;
+    model = Reactive.toRaw(model);
+    let paths = History.#known.get(model);
+    if (!paths) {
+      paths = new Map();
+      History.#known.set(model, paths);
+    }
+    paths.set(path, value);
+  }
+
+  // --- Public ---
+
+  /**
+   * Reverts the most recent transaction.
+   * @returns {boolean} True if something was undone.
+   */
+  undo() {
+    this.#close();
+    const transaction = this.#undoStack.pop();
+    if (!transaction) return false;
+
+    this.#apply([...transaction].reverse(), 'oldValue');
+    this.#redoStack.push(transaction);
+    return true;
+  }
+
+  /**
+   * Re-applies the most recently undone transaction.
+   * @returns {boolean} True if something was redone.
+   */
+  redo() {
+    this.#close();
+    const transaction = this.#redoStack.pop();
+    if (!transaction) return false;
+
+    this.#apply(transaction, 'newValue');
+    this.#undoStack.push(transaction);
+    return true;
+  }
+
+  /**
+   * Empties the undo and redo stacks.
+   */
+  clear() {
+    this.#close();
+    this.#undoStack = [];
+    this.#redoStack = [];
+  }
+
+  /**
+   * Stops recording and releases the history.
+   */
+  dispose() {
+    this.clear();
+    History.#instances.delete(this);
+  }
+
+  // --- Private ---
+
+  /**
+   * Writes recorded values back to their models and announces them in one Bus batch.
+   *
+   * @private
+   * @param {Array<object>} entries - The transaction entries.
+   * @param {'oldValue'|'newValue'} which - The value to restore.
+   */
+  #apply(entries, which) {
+    History.#replaying++;
+    try {
+      crosstownBus.batch(() => {
+        for (const entry of entries) {
+          const value = entry[which];
+          PathResolver.setValue(entry.model, entry.path, value);
+          History.remember(entry.model, entry.path, value);
+          crosstownBus.ripple(entry.model, entry.path, value);
+        }
+      });
+    } finally {
+      History.#replaying--;
+    }
+  }
+
+  /**
+   * Ends the current transaction so the next change starts a new one.
+   * @private
+   */
+  #close() {
+    if (!this.#open) return;
+    this.#open = null;
+    scheduler.cancel(this);
+  }
+
+  /**
+   * Checks whether a model is within this history's scope.
+   * Proxies and their raw objects share a Bus ID, so either identity matches.
+   *
+   * @private
+   * @param {object} model - The model that changed.
+   * @returns {boolean}
+   */
+  #inScope(model) {
+    const scope = this.#group ? this.#group.model : this.#model;
+    if (!scope) return !this.#group;
+    return Bus.getKey(scope, '') === Bus.getKey(model, '');
+  }
+
+  /**
+   * Adds a change to the open transaction, starting one if needed.
+   * Changes to the same path within a frame are merged (first old value, last new value).
+   *
+   * @private
+   * @param {object} model - The model.
+   * @param {string} path - The path.
+   * @param {any} oldValue - The previous value.
+   * @param {any} newValue - The new value.
+   */
+  #record(model, path, oldValue, newValue) {
+    if (!this.#inScope(model)) return;
+
+    if (!this.#open) {
+      this.#open = [];
+      this.#undoStack.push(this.#open);
+      if (this.#undoStack.length > this.limit) this.#undoStack.shift();
+      this.#redoStack = [];
+      // the transaction stays open until the next frame
+      scheduler.defer(this, null, () => { this.#open = null });
+    }
+
+    const id = Bus.getKey(model, path);
+    const existing = this.#open.find(entry => entry.id === id);
+    if (existing) {
+      existing.newValue = newValue;
+    } else {
+      this.#open.push({ id, model, path, oldValue, newValue });
+    }
+  }
+
+  /**
+   * Returns the last known value of a model path.
+   *
+   * @private
+   * @static
+   * @param {object} model - The model.
+   * @param {string} path - The path.
+   * @returns {any} The value, or UNKNOWN.
+   */
+  static #recall(model, path) {
+    const paths = History.#known.get(Reactive.toRaw(model));
+    return (paths?.has(path)) ? paths.get(path) : UNKNOWN;
+  }
+
+  // --- Getters ---
+
+  /**
+   * True if there is something to undo.
+   * @type {boolean}
+   */
+  get canUndo() { return this.#undoStack.length > 0 }
+
+  /**
+   * True if there is something to redo.
+   * @type {boolean}
+   */
+  get canRedo() { return this.#redoStack.length > 0 }
+}
@@ -10,13 +10,18 @@
  * @version 1.0
  */
 
+import Bus from './Bus.js';
 import PathResolver from './PathResolver.js';
+import Reactive from './Reactive.js';
+import Persist from './Persist.js';
 
 export default class Loader {
   #domReadyPromise = null;
   #namespace = null;
   #registry = new Map();
+  #keys = new Map();
   #pending = new Map();
+  #persisted = new Map();
   #deferred = new Map();
   #validator = null;
 
@@ -34,10 +39,16 @@ export default class Loader {
    *
    * @param {string|Object} keyOrRoot - A string key (for alias) OR an object (for namespace).
    * @param {Object} [value] - The value (only required if first arg is a string).
+   * @param {Object} [options] - Registration options.
+   * @param {boolean} [options.reactive=false] - Wrap the value with `reactive()` so plain assignments update bindings.
+   * @param {string} [options.persist] - Save the value's properties to storage (e.g. `"local:settings"`). See Persist.
    */
-  define(keyOrRoot, value) {
+  define(keyOrRoot, value, options = {}) {
     // Set Namespace (Object)
     if (typeof keyOrRoot === 'object' && keyOrRoot !== null) {
+      // define(root, options)
+      if (value?.reactive) keyOrRoot = Reactive.wrap(keyOrRoot);
+      if (value?.persist) this.#persist(keyOrRoot, value.persist);
       this.#namespace = keyOrRoot;
       // Resolve pending waiters immediately
       for (const [key, { resolve, timer }] of this.#deferred) {
@@ -54,7 +65,10 @@ export default class Loader {
     // Set Alias (String, Value)
     if (typeof keyOrRoot === 'string') {
       const key = keyOrRoot;
+      if (options.reactive) value = Reactive.wrap(value);
+      if (options.persist) this.#persist(value, options.persist);
       this.#registry.set(key, value);
+      this.#remember(key, value);
       // Resolve pending waiters
       if (this.#deferred.has(key)) {
         const { resolve, timer } = this.#deferred.get(key);
@@ -74,6 +88,19 @@ export default class Loader {
     return this.#registry.has(key);
   }
 
+  /**
+   * Returns the key a model was registered (or loaded) under.
+   * Keys are stable across documents, frames and workers, unlike Bus model IDs.
+   * A reactive Proxy and its raw object resolve to the same key.
+   *
+   * @param {object} model - The model.
+   * @returns {string|undefined}
+   */
+  keyOf(model) {
+    if ((typeof model !== 'object' || model === null) && typeof model !== 'function') return undefined;
+    return this.#keys.get(Bus.getKey(model, ''));
+  }
+
   /**
    * Main entry point to load a resource.
    * Supports:
@@ -89,7 +116,7 @@ export default class Loader {
    * @param {...any} args - Arguments to pass to the constructor if the result is a class.
    * @returns {Promise<any>} The resolved resource.
    */
-  async load(key, context = document, ...args) {
+  async load(key, context = globalThis.document, ...args) {
     if (!key || typeof key === 'object') return key;
 
     // Check Registry
@@ -100,9 +127,9 @@ export default class Loader {
     // Normalize context
     let constructorArgs = args;
     let scope = context;
-    if (!(context instanceof Node) && context !== null && context !== undefined) {
+    if (!this.#isNode(context) && context !== null && context !== undefined) {
       constructorArgs = [context, ...args];
-      scope = document;
+      scope = globalThis.document;
     }
 
     const promise = this.#resolve(key, scope, ...constructorArgs);
@@ -112,8 +139,9 @@ export default class Loader {
       const result = await promise;
       if (result !== undefined && result !== null) {
         // don't cache DOM nodes (to prevent return detached elements)
-        if (!(result instanceof Node)) {
+        if (!this.#isNode(result)) {
           this.#registry.set(key, result);
+          this.#remember(key, result);
         }
       }
       return result;
@@ -122,6 +150,19 @@ export default class Loader {
     }
   }
 
+  /**
+   * Returns the Persist instance of a model defined with the `persist` option,
+   * e.g. to await `ready`, `flush()` or `clear()` it.
+   *
+   * @param {string|object} keyOrModel - The key the model was defined under, or the model itself.
+   * @returns {Persist|null}
+   */
+  persistence(keyOrModel) {
+    const model = (typeof keyOrModel === 'string') ? this.#registry.get(keyOrModel) : keyOrModel;
+    if ((typeof model !== 'object' || model === null) && typeof model !== 'function') return null;
+    return this.#persisted.get(Bus.getKey(model, '')) ?? null;
+  }
+
   // --- Private ---
 
   /**
@@ -221,6 +262,39 @@ export default class Loader {
     try { return isConstructor ? new obj(...args) : obj; } catch (e) { return obj; }
   }
 
+  /**
+   * Starts persisting a defined value, replacing an earlier Persist of the same value.
+   * Invalid storage specs are reported, not thrown.
+   *
+   * @private
+   * @param {object} value - The defined value.
+   * @param {string} spec - The storage spec.
+   */
+  #persist(value, spec) {
+    if (typeof value !== 'object' || value === null) {
+      console.error('Loader: Only objects can be persisted', value);
+      return;
+    }
+    const id = Bus.getKey(value, '');
+    this.#persisted.get(id)?.dispose();
+    this.#persisted.delete(id);
+    try {
+      this.#persisted.set(id, new Persist(value, spec));
+    } catch (error) {
+      console.error(error.message);
+    }
+  }
+
+  /**
+   * Checks if a value is a DOM node (always false where the DOM does not exist).
+   * @private
+   * @param {any} value - The value to check.
+   * @returns {boolean}
+   */
+  #isNode(value) {
+    return typeof Node !== 'undefined' && value instanceof Node;
+  }
+
   /**
    * Validates if a string is a valid import path.
    * @private
@@ -233,6 +307,18 @@ export default class Loader {
     return /^(\.\/|(?!\/\/)\/).*\.m?js$/.test(normalized);
   }
 
+  /**
+   * Records the key of a registered object for `keyOf()`.
+   * @private
+   * @param {string} key - The registry key.
+   * @param {any} value - The registered value.
+   */
+  #remember(key, value) {
+    if ((typeof value === 'object' && value !== null) || typeof value === 'function') {
+      this.#keys.set(Bus.getKey(value, ''), key);
+    }
+  }
+
   /**
    * Routing logic for resolution strategies.
    *
@@ -70,7 +70,7 @@ export default class PathResolver {
     if (!path) return obj;
 
     // handle css variables (--my-var)
-    if (path.startsWith('--') && obj instanceof HTMLElement) {
+    if (path.startsWith('--') && this.#isElement(obj)) {
       return getComputedStyle(obj).getPropertyValue(path).trim();
     }
 
@@ -78,7 +78,7 @@ export default class PathResolver {
     if (this.isUnsafe(parts)) return undefined;
 
     // handle css style paths (style.backgroundColor)
-    if (obj instanceof HTMLElement && parts[0] === 'style' && parts.length > 1) {
+    if (this.#isElement(obj) && parts[0] === 'style' && parts.length > 1) {
       const styleProp = parts[1];
       // look for inline style first, then try computed style
       return obj.style[styleProp] || getComputedStyle(obj)[styleProp];
@@ -106,7 +106,7 @@ export default class PathResolver {
     if (!target || !path) return false;
 
     // handle css variables (--my-var)
-    if (path.startsWith('--') && target instanceof HTMLElement) {
+    if (path.startsWith('--') && this.#isElement(target)) {
       target.style.setProperty(path, value);
       return true;
     }
@@ -152,4 +152,17 @@ export default class PathResolver {
   static isUnsafe(parts) {
     return parts.some(p => p === '__proto__' || p === 'constructor' || p === 'prototype');
   }
+
+  /**
+   * Checks if a value is an HTML element.
+   * Safe to call where the DOM does not exist (e.g. Web Workers).
+   *
+   * @private
+   * @static
+   * @param {any} obj - The value to check.
+   * @returns {boolean}
+   */
+  static #isElement(obj) {
+    return typeof HTMLElement !== 'undefined' && obj instanceof HTMLElement;
+  }
 }
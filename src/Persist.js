@@ -0,0 +1,357 @@
+/**
+ * Persists model properties to localStorage, sessionStorage or IndexedDB.
+ * Stored values are written back to the model when created (hydration),
+ * changes announced on the Bus are saved after a short delay (or right away when the page is hidden),
+ * and changes made in other tabs (localStorage 'storage' events) are applied and announced.
+ *
+ * Storage specs have the form `"type:name"`, where type is `local`, `session` or `idb`
+ * and name is the storage key, e.g. `"local:settings"`.
+ *
+ * @author Holmes Bryant <https://github.com/HolmesBryant>
+ * @license GPL-3.0
+ * @version 1.0
+ */
+
+import Bus, { crosstownBus } from './Bus.js';
+import PathResolver from './PathResolver.js';
+import Reactive from './Reactive.js';
+
+const DB_NAME = 'a-bind';
+const STORE_NAME = 'persist';
+const TYPES = ['local', 'session', 'idb'];
+
+export default class Persist {
+  /**
+   * The shared IndexedDB connection.
+   * @private
+   * @static
+   * @type {Promise<IDBDatabase>|null}
+   */
+  static #db = null;
+
+  #abortController;
+  #applying = false;
+  #changed = new Set();
+  #data = {};
+  #hydrated = false;
+  #model;
+  #name;
+  #timer = null;
+  #type;
+  #unsubscribers = new Map();
+
+  /**
+   * Milliseconds to wait after the last change before writing to storage.
+   * @type {number}
+   */
+  delay = 250;
+
+  /**
+   * Resolves when the stored values have been applied to the model.
+   * @type {Promise<void>}
+   */
+  ready;
+
+  /**
+   * Hydrates the model from storage and starts watching it.
+   *
+   * @param {object} model - The model to persist.
+   * @param {string} spec - The storage spec, e.g. `"local:settings"`.
+   * @param {object} [options]
+   * @param {string[]} [options.paths] - Paths to save. Defaults to the model's own (non-function) properties.
+   * @param {number} [options.delay=250] - Milliseconds to wait before writing.
+   * @throws {Error} If the spec is invalid.
+   */
+  constructor(model, spec, { paths, delay } = {}) {
+    const { type, name } = Persist.parse(spec);
+    this.#model = model;
+    this.#type = type;
+    this.#name = name;
+    if (delay !== undefined) this.delay = Number(delay);
+
+    paths ??= Object.keys(model).filter(key => typeof model[key] !== 'function');
+    for (const path of paths) this.watch(path);
+
+    this.#listen();
+    this.ready = this.#hydrate();
+  }
+
+  // --- Static ---
+
+  /**
+   * Parses a storage spec.
+   *
+   * @static
+   * @param {string} spec - e.g. `"session:draft"`.
+   * @returns {{type: 'local'|'session'|'idb', name: string}}
+   * @throws {Error} If the type is unknown or the name is missing.
+   */
+  static parse(spec) {
+    const str = String(spec ?? '').trim();
+    const colon = str.indexOf(':');
+    const type = (colon === -1) ? 'local' : str.slice(0, colon).trim();
+    const name = (colon === -1) ? str : str.slice(colon + 1).trim();
+
+    if (!TYPES.includes(type)) throw new Error(`Persist: Unknown storage type "${type}"`);
+    if (!name) throw new Error(`Persist: Missing storage name in "${spec}"`);
+    return { type, name };
+  }
+
+  // --- Public ---
+
+  /**
+   * Saves a path whenever it is announced on the Bus.
+   * A path watched after hydration gets its stored value (if any) right away.
+   * @param {string} path - The model path.
+   */
+  watch(path) {
+    if (!path || this.#unsubscribers.has(path)) return;
+    const off = crosstownBus.hopOn(Bus.getKey(this.#model, path), () => {
+      if (this.#applying) return;
+      this.#changed.add(path);
+      this.#schedule();
+    });
+    this.#unsubscribers.set(path, off);
+    if (this.#hydrated && Object.hasOwn(this.#data, path)) this.#apply({ [path]: this.#data[path] });
+  }
+
+  /**
+   * Stops saving a path. The stored value is kept.
+   * @param {string} path - The model path.
+   */
+  unwatch(path) {
+    this.#unsubscribers.get(path)?.();
+    this.#unsubscribers.delete(path);
+  }
+
+  /**
+   * Writes pending changes immediately.
+   * @returns {Promise<void>}
+   */
+  async flush() {
+    clearTimeout(this.#timer);
+    this.#timer = null;
+    if (!this.#changed.size) return;
+
+    for (const path of this.#changed) {
+      const value = PathResolver.getValue(this.#model, path);
+      try {
+        this.#data[path] = (value === undefined) ? undefined : JSON.parse(JSON.stringify(value));
+      } catch (error) {
+        console.warn(`Persist: Cannot save "${path}"`, error);
+      }
+    }
+    this.#changed.clear();
+    await this.#write();
+  }
+
+  /**
+   * Removes the stored values (the model is left unchanged).
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    clearTimeout(this.#timer);
+    this.#timer = null;
+    this.#changed.clear();
+    this.#data = {};
+
+    try {
+      if (this.#type === 'idb') {
+        await Persist.#request('readwrite', store => store.delete(this.#name));
+      } else {
+        this.#storage.removeItem(this.#name);
+      }
+    } catch (error) {
+      console.warn(`Persist: Failed to clear "${this.#name}"`, error);
+    }
+  }
+
+  /**
+   * Writes pending changes and stops watching the model.
+   * @returns {Promise<void>}
+   */
+  dispose() {
+    for (const off of this.#unsubscribers.values()) off();
+    this.#unsubscribers.clear();
+    this.#abortController?.abort();
+    this.#abortController = null;
+    return this.flush();
+  }
+
+  // --- Private ---
+
+  /**
+   * Writes stored values to the model and announces them in one Bus batch.
+   * Only watched paths are applied; values equal to the current model value are skipped.
+   * A reactive model is written through its raw object, so restored values are announced once
+   * and not recorded as undoable changes.
+   *
+   * @private
+   * @param {object} data - Stored values keyed by path.
+   */
+  #apply(data) {
+    const model = Reactive.toRaw(this.#model);
+    this.#applying = true;
+    try {
+      crosstownBus.batch(() => {
+        for (const [path, value] of Object.entries(data)) {
+          if (!this.#unsubscribers.has(path)) continue;
+          const current = PathResolver.getValue(model, path);
+          if (JSON.stringify(current) === JSON.stringify(value)) continue;
+          if (PathResolver.setValue(model, path, value)) {
+            crosstownBus.ripple(model, path, value);
+          }
+        }
+      });
+    } finally {
+      this.#applying = false;
+    }
+  }
+
+  /**
+   * Reads the stored values and applies those of watched paths to the model.
+   * Values of other paths are kept in storage.
+   * @private
+   */
+  async #hydrate() {
+    const data = await this.#read();
+    // paths changed while reading (IndexedDB is async) keep their new values
+    for (const path of this.#changed) delete data[path];
+    this.#data = { ...data, ...this.#data };
+    this.#hydrated = true;
+    this.#apply(data);
+  }
+
+  /**
+   * Saves pending changes when the page is hidden (a delayed write would be lost on unload),
+   * and applies changes made to the same storage key in other tabs.
+   * @private
+   */
+  #listen() {
+    if (typeof window === 'undefined') return;
+    this.#abortController = new AbortController();
+    window.addEventListener('pagehide', () => this.flush(), { signal: this.#abortController.signal });
+    if (this.#type === 'idb') return;
+
+    window.addEventListener('storage', event => {
+      if (event.key !== this.#name || event.storageArea !== this.#storage) return;
+      const data = this.#parse(event.newValue);
+      this.#data = data;
+      this.#apply(data);
+    }, { signal: this.#abortController.signal });
+  }
+
+  /**
+   * Parses a stored JSON string.
+   *
+   * @private
+   * @param {string|null} json - The stored string.
+   * @returns {object}
+   */
+  #parse(json) {
+    if (!json) return {};
+    try {
+      const data = JSON.parse(json);
+      return (typeof data === 'object' && data !== null && !Array.isArray(data)) ? data : {};
+    } catch (error) {
+      console.warn(`Persist: Ignoring invalid data in "${this.#name}"`, error);
+      return {};
+    }
+  }
+
+  /**
+   * Reads the stored values.
+   *
+   * @private
+   * @returns {Promise<object>}
+   */
+  async #read() {
+    try {
+      if (this.#type === 'idb') {
+        const data = await Persist.#request('readonly', store => store.get(this.#name));
+        return (typeof data === 'object' && data !== null) ? data : {};
+      }
+      return this.#parse(this.#storage.getItem(this.#name));
+    } catch (error) {
+      console.warn(`Persist: Failed to read "${this.#name}"`, error);
+      return {};
+    }
+  }
+
+  /**
+   * Debounces writes.
+   * @private
+   */
+  #schedule() {
+    clearTimeout(this.#timer);
+    this.#timer = setTimeout(() => this.flush(), this.delay);
+  }
+
+  /**
+   * Writes all saved values.
+   * @private
+   */
+  async #write() {
+    try {
+      if (this.#type === 'idb') {
+        await Persist.#request('readwrite', store => store.put(this.#data, this.#name));
+      } else {
+        this.#storage.setItem(this.#name, JSON.stringify(this.#data));
+      }
+    } catch (error) {
+      console.warn(`Persist: Failed to write "${this.#name}"`, error);
+    }
+  }
+
+  /**
+   * Runs a single IndexedDB request against the shared store.
+   * If the database fails to open, the next request tries again.
+   *
+   * @private
+   * @static
+   * @param {IDBTransactionMode} mode - 'readonly' or 'readwrite'.
+   * @param {Function} funk - Receives the object store and returns a request.
+   * @returns {Promise<any>} The request result.
+   */
+  static async #request(mode, funk) {
+    Persist.#db ??= new Promise((resolve, reject) => {
+      const open = indexedDB.open(DB_NAME, 1);
+      open.onupgradeneeded = () => open.result.createObjectStore(STORE_NAME);
+      open.onsuccess = () => resolve(open.result);
+      open.onerror = () => reject(open.error);
+    }).catch(error => {
+      Persist.#db = null;
+      throw error;
+    });
+
+    const db = await Persist.#db;
+    return new Promise((resolve, reject) => {
+      const request = funk(db.transaction(STORE_NAME, mode).objectStore(STORE_NAME));
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  // --- Getters ---
+
+  /**
+   * The Web Storage object for 'local' and 'session' types.
+   * @private
+   * @type {Storage}
+   */
+  get #storage() {
+    return (this.#type === 'session') ? globalThis.sessionStorage : globalThis.localStorage;
+  }
+
+  /**
+   * The storage key.
+   * @type {string}
+   */
+  get name() { return this.#name }
+
+  /**
+   * The storage type ('local', 'session' or 'idb').
+   * @type {string}
+   */
+  get type() { return this.#type }
+}
@@ -0,0 +1,268 @@
+/**
+ * Opt-in Proxy wrapper that turns plain assignments on a model into Bus announcements.
+ * Announcements use the same `Bus.getKey(model, path)` keys as <a-bind> subscribers,
+ * and always target the identity of the original (unwrapped) root object.
+ *
+ * Array methods on reactive arrays announce once per call: `push`, `pop`, `shift`,
+ * `unshift` and `splice` announce the array with a splice record (see `ABind.splice`);
+ * `sort`, `reverse`, `fill` and `copyWithin` announce the reordered array.
+ *
+ * @author Holmes Bryant <https://github.com/HolmesBryant>
+ * @license GPL-3.0
+ * @version 1.0
+ */
+
+import Bus, { crosstownBus } from './Bus.js';
+import History from './History.js';
+
+const SPLICING_METHODS = new Set(['push', 'pop', 'shift', 'unshift', 'splice']);
+const REORDERING_METHODS = new Set(['sort', 'reverse', 'fill', 'copyWithin']);
+
+export default class Reactive {
+  /**
+   * Maps raw root objects to their Proxy.
+   * @private
+   * @static
+   * @type {WeakMap<object, Proxy>}
+   */
+  static #roots = new WeakMap();
+
+  /**
+   * Maps raw root objects to the Proxies created for their nested paths.
+   * @private
+   * @static
+   * @type {WeakMap<object, Map<string, {raw: object, proxy: Proxy}>>}
+   */
+  static #nested = new WeakMap();
+
+  /**
+   * Maps every Proxy back to its raw target.
+   * @private
+   * @static
+   * @type {WeakMap<Proxy, object>}
+   */
+  static #raw = new WeakMap();
+
+  // --- Public ---
+
+  /**
+   * Wraps a model in a Proxy that announces every property assignment on the Bus.
+   * Nested plain objects and arrays are wrapped lazily when read, and announce
+   * using their full path from the root (e.g. `user.address.city`).
+   *
+   * @static
+   * @param {object} obj - The model to wrap.
+   * @returns {Proxy|any} The reactive model (or `obj` itself if it cannot be wrapped).
+   */
+  static wrap(obj) {
+    if (typeof obj !== 'object' || obj === null) return obj;
+    if (Reactive.#raw.has(obj)) return obj;
+    if (typeof Node !== 'undefined' && obj instanceof Node) {
+      console.warn('Reactive: DOM nodes cannot be made reactive', obj);
+      return obj;
+    }
+
+    let proxy = Reactive.#roots.get(obj);
+    if (!proxy) {
+      proxy = Reactive.#createProxy(obj, obj, '');
+      Reactive.#roots.set(obj, proxy);
+    }
+
+    return proxy;
+  }
+
+  /**
+   * Returns the raw object behind a reactive Proxy.
+   * @static
+   * @param {any} value - A reactive Proxy or any other value.
+   * @returns {any} The raw object, or `value` unchanged if it is not reactive.
+   */
+  static toRaw(value) {
+    return Reactive.#raw.get(value) ?? value;
+  }
+
+  /**
+   * Checks whether a value is a reactive Proxy.
+   * @static
+   * @param {any} value - The value to check.
+   * @returns {boolean}
+   */
+  static isReactive(value) {
+    return Reactive.#raw.has(value);
+  }
+
+  // --- Private ---
+
+  /**
+   * Announces a change for the root model and, for nested paths, for the nested object itself.
+   *
+   * @private
+   * @static
+   * @param {object} root - The raw root object.
+   * @param {object} target - The raw object that was modified.
+   * @param {string} path - Full path from the root.
+   * @param {string} prop - Property name on `target`.
+   * @param {any} value - The new value.
+   */
+  static #announce(root, target, path, prop, value) {
+    crosstownBus.ripple(root, path, value);
+    if (target !== root) crosstownBus.ripple(target, prop, value);
+  }
+
+  /**
+   * Returns a version of an array method that runs on the raw array and announces once.
+   *
+   * @private
+   * @static
+   * @param {Array} array - The raw array.
+   * @param {string} method - The method name.
+   * @param {object} root - The raw root object.
+   * @param {string} path - The path of the array from the root.
+   * @param {Proxy} proxy - The array's Proxy (returned by methods that return the array).
+   * @returns {Function}
+   */
+  static #arrayMethod(array, method, root, path, proxy) {
+    return (...args) => {
+      const before = array.slice();
+      const raw = args.map(arg => Reactive.toRaw(arg));
+      const result = Array.prototype[method].apply(array, raw);
+
+      let record = null;
+      switch (method) {
+        case 'push':
+          record = { index: before.length, removed: [], added: raw };
+          break;
+        case 'pop':
+          record = { index: array.length, removed: before.slice(array.length), added: [] };
+          break;
+        case 'shift':
+          record = { index: 0, removed: before.slice(0, before.length - array.length), added: [] };
+          break;
+        case 'unshift':
+          record = { index: 0, removed: [], added: raw };
+          break;
+        case 'splice': {
+          const start = raw[0] < 0 ? Math.max(before.length + raw[0], 0) : Math.min(raw[0] || 0, before.length);
+          record = { index: start, removed: result, added: raw.slice(2) };
+          break;
+        }
+      }
+
+      if (record && record.removed.length === 0 && record.added.length === 0) return result;
+      if (!record && before.every((value, i) => value === array[i])) return proxy;
+
+      History.capture(root, path, array.slice(), before);
+      if (record) {
+        crosstownBus.ripple(root, path, array, { type: 'splice', ...record });
+      } else {
+        crosstownBus.ripple(root, path, array);
+      }
+
+      return record ? result : proxy;
+    };
+  }
+
+  /**
+   * Creates a Proxy for `target`, which lives at `base` inside `root`.
+   *
+   * @private
+   * @static
+   * @param {object} target - The raw object to wrap.
+   * @param {object} root - The raw root object announcements are keyed on.
+   * @param {string} base - The path of `target` from the root ('' for the root itself).
+   * @returns {Proxy}
+   */
+  static #createProxy(target, root, base) {
+    const join = prop => base ? `${base}.${prop}` : prop;
+
+    const proxy = new Proxy(target, {
+      get(obj, prop, receiver) {
+        if (Array.isArray(obj) && (SPLICING_METHODS.has(prop) || REORDERING_METHODS.has(prop))) {
+          return Reactive.#arrayMethod(obj, prop, root, base, receiver);
+        }
+        const value = Reflect.get(obj, prop, receiver);
+        if (typeof prop === 'symbol' || !Reactive.#isWrappable(value)) return value;
+        return Reactive.#getNested(root, join(prop), value);
+      },
+
+      set(obj, prop, value, receiver) {
+        if (typeof prop === 'symbol') return Reflect.set(obj, prop, value, receiver);
+        const raw = Reactive.toRaw(value);
+        const old = obj[prop];
+        const ok = Reflect.set(obj, prop, raw, receiver);
+        if (ok && old !== raw) {
+          History.capture(root, join(prop), raw, old);
+          Reactive.#announce(root, obj, join(prop), prop, raw);
+        }
+        return ok;
+      },
+
+      deleteProperty(obj, prop) {
+        const had = Object.prototype.hasOwnProperty.call(obj, prop);
+        const old = obj[prop];
+        const ok = Reflect.deleteProperty(obj, prop);
+        if (ok && had && typeof prop !== 'symbol') {
+          History.capture(root, join(prop), undefined, old);
+          Reactive.#announce(root, obj, join(prop), prop, undefined);
+        }
+        return ok;
+      }
+    });
+
+    Reactive.#raw.set(proxy, target);
+    Bus.alias(proxy, target);
+    return proxy;
+  }
+
+  /**
+   * Returns (and caches) the Proxy for a nested object at `path` inside `root`.
+   *
+   * @private
+   * @static
+   * @param {object} root - The raw root object.
+   * @param {string} path - Full path of the nested object.
+   * @param {object} value - The raw nested object.
+   * @returns {Proxy}
+   */
+  static #getNested(root, path, value) {
+    let cache = Reactive.#nested.get(root);
+    if (!cache) {
+      cache = new Map();
+      Reactive.#nested.set(root, cache);
+    }
+
+    const cached = cache.get(path);
+    if (cached?.raw === value) return cached.proxy;
+
+    const proxy = Reactive.#createProxy(value, root, path);
+    cache.set(path, { raw: value, proxy });
+    return proxy;
+  }
+
+  /**
+   * Only plain objects and arrays are wrapped when nested.
+   * Class instances, Maps, Sets, Dates and DOM nodes rely on internal slots
+   * that do not survive a Proxy.
+   *
+   * @private
+   * @static
+   * @param {any} value - The value to check.
+   * @returns {boolean}
+   */
+  static #isWrappable(value) {
+    if (typeof value !== 'object' || value === null) return false;
+    if (Reactive.#raw.has(value)) return false;
+    if (Array.isArray(value)) return true;
+    const proto = Object.getPrototypeOf(value);
+    return proto === Object.prototype || proto === null;
+  }
+}
+
+/**
+ * Shorthand for `Reactive.wrap()`.
+ * @param {object} obj - The model to wrap.
+ * @returns {Proxy|any} The reactive model.
+ */
+export function reactive(obj) {
+  return Reactive.wrap(obj);
+}
@@ -0,0 +1,441 @@
+/**
+ * Template compilation and binding shared by <a-repeat>, <a-switch> and <a-if>.
+ * Compiling walks a template's content once and records where `{{ token }}` bindings are;
+ * binding resolves those locations to the nodes of a clone, and updating fills them
+ * with values from a data item (only touching nodes whose value changed).
+ *
+ * Tokens are sandboxed expressions (see Expression), compiled once when the template is parsed:
+ * `{{ price * qty }}`, `{{ done ? 'x' : '' }}`, `{{ name | upper }}`.
+ * Names resolve against `item`, `index`, the item's own properties, then the scope object.
+ * A loop can pass a frame (see `frame()`) as the scope: its variables (aliases, `$first`, ...)
+ * are resolved before the item, and frames of enclosing loops are searched after it.
+ *
+ * @author Holmes Bryant <https://github.com/HolmesBryant>
+ * @license GPL-3.0
+ * @version 1.0
+ */
+
+import Expression from './Expression.js';
+import PathResolver from './PathResolver.js';
+
+const TOKEN_REGEX = /\{\{\s*(.+?)\s*\}\}/g;
+const PROTOCOL_REGEX = /^[a-zA-Z][a-zA-Z0-9+.-]*:/; // RFC 3986 Scheme validation
+const ALLOWED_PROTOCOLS = new Set(['http:', 'https:', 'mailto:', 'tel:', 'ftp:']);
+const frames = new WeakSet();
+
+export default class Template {
+  /**
+   * Applies data to a cloned template instance using pre-compiled bindings.
+   * Shorthand for `update(bind(root, bindings), ...)`, for content that is stamped once.
+   *
+   * @static
+   * @param {DocumentFragment|Element} root - The root of the cloned template.
+   * @param {Array<object>} bindings - The compilation instructions.
+   * @param {any} item - The current data item.
+   * @param {number} [index] - The index of the item in the list.
+   * @param {object} [scope] - Fallback object for tokens not found on the item.
+   * @param {HTMLElement} [host] - The element rendering the template (used in warnings).
+   */
+  static apply(root, bindings, item, index, scope, host) {
+    this.update(this.bind(root, bindings), item, index, scope, host);
+  }
+
+  /**
+   * Resolves compiled bindings to the nodes of a cloned template.
+   * Must be called before the clone's nodes are moved out of `root`.
+   * The returned slots keep working after the nodes are inserted into the document.
+   *
+   * @static
+   * @param {DocumentFragment|Element} root - The root of the cloned template.
+   * @param {Array<object>} bindings - The compilation instructions.
+   * @returns {Array<object>} Slots ({ binding, node, slots? }) to pass to `update()`.
+   */
+  static bind(root, bindings) {
+    const slots = [];
+    for (const binding of bindings) {
+      const node = this.getNode(root, binding.path);
+      if (!node) continue;
+
+      if (binding.type === 'template-content') {
+        slots.push({ binding, node, slots: this.bind(node.content, binding.bindings) });
+      } else {
+        slots.push({ binding, node });
+      }
+    }
+    return slots;
+  }
+
+  /**
+   * Scans a DocumentFragment for mustache-style bindings ({{ }}) and returns a list of instructions.
+   * This walks the DOM once at startup to create a compilation definition.
+   *
+   * @static
+   * @param {DocumentFragment} fragment - The template content to parse.
+   * @returns {Array<object>} A list of binding instructions.
+   */
+  static compile(fragment) {
+    const bindings = [];
+
+    const crawl = (node, path) => {
+      // Text Nodes
+      if (node.nodeType === Node.TEXT_NODE) {
+        const parts = this.parse(node.nodeValue);
+        if (parts) {
+          bindings.push({ type: 'text', path: [...path], parts });
+        }
+        return;
+      }
+
+      // Elements
+      if (node.nodeType === Node.ELEMENT_NODE) {
+        // Attributes
+        if (node.hasAttributes()) {
+          for (const attr of node.attributes) {
+            const parts = this.parse(attr.value);
+            if (parts) {
+              bindings.push({ type: 'attr', path: [...path], name: attr.name, parts });
+            }
+          }
+        }
+
+        // Nested Repeats: Stop recursion here.
+        // The nested repeat will handle its own templates when it upgrades.
+        if (node.localName === 'a-repeat') {
+          bindings.push({ type: 'nest-repeat', path: [...path] });
+          return;
+        }
+
+        // Nested Templates
+        if (node.localName === 'template') {
+          const contentBindings = this.compile(node.content);
+          if (contentBindings.length > 0) {
+            bindings.push({
+              type: 'template-content',
+              path: [...path],
+              bindings: contentBindings
+            });
+          }
+          return;
+        }
+
+        // Recursion
+        const children = node.childNodes;
+        for (let i = 0; i < children.length; i++) {
+          crawl(children[i], [...path, i]);
+        }
+      }
+    };
+
+    const children = fragment.childNodes;
+    for (let i = 0; i < children.length; i++) {
+      crawl(children[i], [i]);
+    }
+
+    return bindings;
+  }
+
+  /**
+   * Evaluates a single token against the item or scope.
+   *
+   * @static
+   * @param {Expression|string} expr - The compiled token, or a property path (e.g. "user.name" or "index").
+   * @param {any} item - The current list item.
+   * @param {number} [index] - The current index.
+   * @param {object} [scope] - Fallback object for paths not found on the item.
+   * @param {HTMLElement} [host] - The element rendering the template (used in warnings).
+   * @returns {string|any} The resolved value.
+   */
+  static evaluate(expr, item, index, scope, host) {
+    if (typeof expr === 'string') expr = this.#compileToken(expr, host);
+    if (!expr) return '';
+
+    let val;
+    try {
+      val = expr.evaluate(path => this.#lookup(path, item, index, scope));
+    } catch (error) {
+      console.warn(`${host?.localName ?? 'Template'}: Failed to evaluate "{{ ${expr.source} }}"`, error);
+      return '';
+    }
+
+    if (val === undefined || val === null || typeof val === 'object') {
+      return '';
+    } else {
+      return val;
+    }
+  }
+
+  /**
+   * Creates the scope for one row of a loop. Tokens resolve `vars` before the item;
+   * names not found fall through to `scope`, which may be the frame of an enclosing row.
+   *
+   * @static
+   * @param {object} vars - The row's loop variables.
+   * @param {object} [scope] - The enclosing scope or frame.
+   * @returns {{vars: object, scope: object}} The frame.
+   */
+  static frame(vars, scope) {
+    const frame = { vars, scope };
+    frames.add(frame);
+    return frame;
+  }
+
+  /**
+   * Helper to traverse the DOM using a path array (child indices).
+   *
+   * @static
+   * @param {Node} root - The starting node.
+   * @param {Array<number>} path - Array of childNode indices.
+   * @returns {Node|null}
+   */
+  static getNode(root, path) {
+    let node = root;
+    for (const i of path) {
+      if (!node.childNodes || !node.childNodes[i]) return null;
+      node = node.childNodes[i];
+    }
+    return node;
+  }
+
+  /**
+   * Checks if a scope is a loop frame created by `frame()`.
+   *
+   * @static
+   * @param {any} scope - The scope.
+   * @returns {boolean}
+   */
+  static isFrame(scope) {
+    return frames.has(scope);
+  }
+
+  /**
+   * Parses a string for `{{ token }}` patterns.
+   *
+   * @static
+   * @param {string} str - The string to parse.
+   * @returns {Array<string|object>|null} Array of static strings and token objects, or null if no bindings found.
+   */
+  static parse(str) {
+    if (!str.includes('{{')) return null;
+
+    const parts = [];
+    let lastIndex = 0;
+    // Use local RegExp to avoid global state issues
+    const regex = new RegExp(TOKEN_REGEX);
+    let match;
+
+    while ((match = regex.exec(str)) !== null) {
+      if (match.index > lastIndex) {
+        parts.push(str.slice(lastIndex, match.index));
+      }
+      parts.push({ token: match[1], expr: this.#compileToken(match[1]) });
+      lastIndex = regex.lastIndex;
+    }
+
+    if (lastIndex < str.length) {
+      parts.push(str.slice(lastIndex));
+    }
+    return parts.length > 0 ? parts : null;
+  }
+
+  /**
+   * Returns every path read by the tokens of compiled bindings (including nested templates),
+   * e.g. to subscribe to the values a stamped template shows.
+   *
+   * @static
+   * @param {Array<object>} bindings - The compilation instructions.
+   * @returns {string[]} The unique paths.
+   */
+  static paths(bindings) {
+    const paths = new Set();
+    const collect = list => {
+      for (const binding of list) {
+        if (binding.type === 'template-content') collect(binding.bindings);
+        for (const part of binding.parts ?? []) {
+          for (const path of part.expr?.paths ?? []) paths.add(path);
+        }
+      }
+    };
+    collect(bindings);
+    return [...paths];
+  }
+
+  /**
+   * Gives the <a-bind>, <a-repeat>, <a-if>, <a-show> and <a-switch> elements of stamped content a model,
+   * unless they declare their own or sit inside another container in the stamped content.
+   *
+   * @static
+   * @param {DocumentFragment} fragment - The stamped content.
+   * @param {object} model - The model to provide.
+   */
+  static provideModel(fragment, model) {
+    if (!model) return;
+    const selector = 'a-bind, a-repeat, a-if, a-show, a-switch';
+    for (const child of fragment.querySelectorAll(selector)) {
+      if (child.hasAttribute('model')) continue;
+      if (child.parentElement?.closest(`a-bindgroup, ${selector}`)) continue;
+      child.model = model;
+    }
+  }
+
+  /**
+   * Resolves a list of string parts and tokens into a final string value.
+   *
+   * @static
+   * @param {Array} parts - Mixed array of strings and token objects.
+   * @param {any} item - Data context.
+   * @param {number} [index] - Loop index.
+   * @param {object} [scope] - Fallback object for tokens not found on the item.
+   * @param {HTMLElement} [host] - The element rendering the template (used in warnings).
+   * @returns {string} The resolved string.
+   */
+  static resolve(parts, item, index, scope, host) {
+    let result = '';
+    for (const part of parts) {
+      if (typeof part === 'string') {
+        result += part;
+      } else {
+        result += this.evaluate(part.expr, item, index, scope, host);
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Returns the scope object behind a chain of loop frames.
+   *
+   * @static
+   * @param {any} scope - A scope or frame.
+   * @returns {object|undefined}
+   */
+  static scopeOf(scope) {
+    while (frames.has(scope)) scope = scope.scope;
+    return scope;
+  }
+
+  /**
+   * Writes data into bound slots. Handles text nodes, attributes, nested repeats,
+   * and nested template recursion. Text and attributes are only written if their value changed.
+   * Attribute tokens with unsafe URL protocols (e.g. `javascript:`) are blanked.
+   *
+   * @static
+   * @param {Array<object>} slots - Slots returned by `bind()`.
+   * @param {any} item - The current data item.
+   * @param {number} [index] - The index of the item in the list.
+   * @param {object} [scope] - Fallback object for tokens not found on the item.
+   * @param {HTMLElement} [host] - The element rendering the template (used in warnings).
+   */
+  static update(slots, item, index, scope, host) {
+    for (const { binding, node, slots: nested } of slots) {
+      switch (binding.type) {
+        case 'text': {
+          const val = String(this.resolve(binding.parts, item, index, scope, host));
+          if (node.nodeValue !== val) node.nodeValue = val;
+          break;
+        }
+        case 'attr': {
+          // Block event handlers
+          if (binding.name.startsWith('on')) {
+            if (!node.hasAttribute(binding.name)) break;
+            console.warn(`${host?.localName ?? 'Template'}: Blocked interpolation into event handler "${binding.name}"`, host);
+            node.removeAttribute(binding.name);
+            break;
+          }
+          // Attributes may be URLs (href, src, action...), so tokens with unsafe protocols are blanked
+          let val = '';
+          for (const part of binding.parts) {
+            val += (typeof part === 'string') ? part : this.#safeUrl(this.evaluate(part.expr, item, index, scope, host), host);
+          }
+          if (node.getAttribute(binding.name) !== val) node.setAttribute(binding.name, val);
+          break;
+        }
+        case 'nest-repeat':
+          // Pass context to nested repeats
+          if (!node.hasAttribute('model')) node.model = item;
+          if (!node.hasAttribute('scope') && scope) node.scope = scope;
+          break;
+        case 'template-content':
+          // Recurse for <template> tags inside the template
+          this.update(nested, item, index, scope, host);
+          break;
+      }
+    }
+  }
+
+  // --- Private ---
+
+  /**
+   * Compiles a token's expression, logging (rather than throwing) syntax errors
+   * so one bad token does not stop the rest of the template from rendering.
+   *
+   * @private
+   * @static
+   * @param {string} source - The token's text, without the braces.
+   * @param {HTMLElement} [host] - The element rendering the template (used in errors).
+   * @returns {Expression|null}
+   */
+  static #compileToken(source, host) {
+    try {
+      return Expression.compile(source);
+    } catch (error) {
+      console.error(`${host?.localName ?? 'Template'}: Invalid token "{{ ${source} }}"`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Resolves a name used in a token. `index` is the loop index; `item` and `this` are the item itself;
+   * loop variables come next (this row's frame, then enclosing rows'), then the item, then the scope object.
+   *
+   * @private
+   * @static
+   * @param {string} path - The path referenced by the expression.
+   * @param {any} item - The current item.
+   * @param {number} [index] - The current index.
+   * @param {object} [scope] - Fallback object.
+   * @returns {any}
+   */
+  static #lookup(path, item, index, scope) {
+    if (path === 'index') return index;
+
+    const [head, ...rest] = path.split('.');
+    if (head === 'item' || head === 'this') {
+      return rest.length ? PathResolver.getValue(item, rest.join('.')) : item;
+    }
+
+    for (let frame = scope; frames.has(frame); frame = frame.scope) {
+      if (Object.hasOwn(frame.vars, head)) {
+        return rest.length ? PathResolver.getValue(frame.vars[head], rest.join('.')) : frame.vars[head];
+      }
+    }
+
+    let val = PathResolver.getValue(item, path);
+    scope = this.scopeOf(scope);
+    if (val === undefined && scope) val = PathResolver.getValue(scope, path);
+    return val;
+  }
+
+  /**
+   * Security whitelist for URLs: blanks a string that starts with a protocol not in ALLOWED_PROTOCOLS.
+   *
+   * @private
+   * @static
+   * @param {any} val - An evaluated token.
+   * @param {HTMLElement} [host] - The element rendering the template (used in warnings).
+   * @returns {any} The value, or '' if it is unsafe.
+   */
+  static #safeUrl(val, host) {
+    if (typeof val !== 'string') return val;
+    const trimmed = val.trim();
+    if (!PROTOCOL_REGEX.test(trimmed)) return val;
+    try {
+      const url = new URL(trimmed);
+      if (!ALLOWED_PROTOCOLS.has(url.protocol)) {
+        console.warn(`${host?.localName ?? 'Template'}: blocked unsafe URI protocol "${url.protocol}"`, host);
+        return '';
+      }
+    } catch (e) {
+      // Not absolute URL, pass through
+    }
+    return val;
+  }
+}
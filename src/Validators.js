@@ -0,0 +1,206 @@
+/**
+ * A registry of validation rules used by the 'validate' attribute of <a-bind>.
+ * A rule is a function `(value, arg, context) => true | false | string`.
+ * Returning a string (or false) marks the value invalid; the string is used as the message.
+ *
+ * Rule specs chain rules with `|` and pass an argument with `:`,
+ * e.g. `"required|minlength:3|pattern:^\d+$"`.
+ * Because regular expressions may contain `|`, `pattern` must be the last rule in a spec.
+ *
+ * @author Holmes Bryant <https://github.com/HolmesBryant>
+ * @license GPL-3.0
+ * @version 1.0
+ */
+
+import PathResolver from './PathResolver.js';
+
+export default class Validators {
+  /**
+   * Registered rules by name.
+   * @private
+   * @type {Map<string, Function>}
+   */
+  #registry = new Map();
+
+  // --- Public ---
+
+  /**
+   * Registers (or replaces) a rule.
+   *
+   * @param {string} name - The name used in rule specs.
+   * @param {Function} rule - `(value, arg, context) => true | false | string`.
+   */
+  define(name, rule) {
+    if (typeof rule !== 'function') {
+      console.error(`Validators: "${name}" must be a function`);
+      return;
+    }
+    this.#registry.set(name, rule);
+  }
+
+  /**
+   * Retrieves a rule by name.
+   * @param {string} name - The rule name.
+   * @returns {Function|undefined}
+   */
+  get(name) {
+    return this.#registry.get(name);
+  }
+
+  /**
+   * Checks if a rule is registered.
+   * @param {string} name - The rule name.
+   * @returns {boolean}
+   */
+  has(name) {
+    return this.#registry.has(name);
+  }
+
+  /**
+   * Parses a rule spec into a list of rule names and arguments.
+   * Everything after `pattern:` is treated as the regular expression.
+   *
+   * @param {string} spec - e.g. `"required|min:3|pattern:^\d+$"`.
+   * @returns {Array<{name: string, arg: string|undefined}>}
+   */
+  parse(spec) {
+    const rules = [];
+    let rest = String(spec ?? '').trim();
+
+    while (rest) {
+      if (rest.startsWith('pattern:')) {
+        rules.push({ name: 'pattern', arg: rest.slice('pattern:'.length) });
+        break;
+      }
+
+      const end = rest.indexOf('|');
+      const part = (end === -1 ? rest : rest.slice(0, end)).trim();
+      rest = (end === -1) ? '' : rest.slice(end + 1).trim();
+      if (!part) continue;
+
+      const colon = part.indexOf(':');
+      rules.push((colon === -1) ?
+        { name: part, arg: undefined } :
+        { name: part.slice(0, colon).trim(), arg: part.slice(colon + 1).trim() }
+      );
+    }
+
+    return rules;
+  }
+
+  /**
+   * Runs a value through a list of rules.
+   * Rules that are not registered are looked up as functions on `context.model`,
+   * so models can provide their own validators (e.g. `validate="required|isUnique"`).
+   *
+   * @param {any} value - The value to validate.
+   * @param {string|Array<{name: string, arg: string}>} rules - A spec or parsed rules.
+   * @param {object} [context={}] - Extra information passed to each rule.
+   * @param {object} [context.model] - The model (used to resolve custom validators).
+   * @param {HTMLElement} [context.element] - The bound element.
+   * @param {string} [context.prop] - The bound property.
+   * @returns {string[]} Failure messages (empty if valid).
+   */
+  validate(value, rules, context = {}) {
+    if (typeof rules === 'string') rules = this.parse(rules);
+    const messages = [];
+
+    for (const { name, arg } of rules ?? []) {
+      let rule = this.#registry.get(name);
+      let thisArg = null;
+
+      if (!rule && context.model) {
+        const parts = PathResolver.getParts(name);
+        const fnName = parts.pop();
+        thisArg = parts.length ? PathResolver.getValue(context.model, parts.join('.')) : context.model;
+        const fn = thisArg?.[fnName];
+        // Inherited Object members (constructor, toString...) are not rules
+        if (typeof fn === 'function' && fn !== Object.prototype[fnName]) rule = fn;
+      }
+
+      if (!rule) {
+        console.warn(`Validators: Unknown rule "${name}"`);
+        continue;
+      }
+
+      let result;
+      try {
+        result = rule.call(thisArg, value, arg, context);
+      } catch (error) {
+        console.error(`Validators: Rule "${name}" failed`, error);
+        result = false;
+      }
+
+      if (result === true || result === undefined) continue;
+      messages.push((typeof result === 'string' && result) ? result : `Failed "${name}" validation.`);
+    }
+
+    return messages;
+  }
+
+  /**
+   * Gets a list of registered rule names.
+   * @type {string[]}
+   */
+  get names() { return Array.from(this.#registry.keys()) }
+}
+
+// --- Built-ins ---
+
+const isEmpty = value => value === null || value === undefined || value === '' ||
+  (Array.isArray(value) && value.length === 0);
+
+/**
+ * Numbers (and numeric strings from number/range inputs) compare by value,
+ * everything else by length.
+ */
+const measure = (value, element) => {
+  if (typeof value === 'number') return value;
+  if ((element?.type === 'number' || element?.type === 'range') && value !== '' && !isNaN(value)) {
+    return Number(value);
+  }
+  return value?.length ?? Number(value);
+};
+
+/**
+ * Global singleton instance of the validator registry.
+ * @type {Validators}
+ */
+const validators = new Validators();
+
+validators.define('required', value =>
+  (isEmpty(value) || value === false) ? 'This field is required.' : true);
+
+validators.define('min', (value, arg, { element } = {}) =>
+  isEmpty(value) || measure(value, element) >= Number(arg) || `Must be at least ${arg}.`);
+
+validators.define('max', (value, arg, { element } = {}) =>
+  isEmpty(value) || measure(value, element) <= Number(arg) || `Must be at most ${arg}.`);
+
+validators.define('minlength', (value, arg) =>
+  isEmpty(value) || String(value).length >= Number(arg) || `Must be at least ${arg} characters.`);
+
+validators.define('maxlength', (value, arg) =>
+  isEmpty(value) || String(value).length <= Number(arg) || `Must be at most ${arg} characters.`);
+
+validators.define('pattern', (value, arg) => {
+  if (isEmpty(value)) return true;
+  try {
+    return new RegExp(arg).test(String(value)) || 'Invalid format.';
+  } catch (error) {
+    console.error(`Validators: Invalid pattern "${arg}"`, error);
+    return true;
+  }
+});
+
+validators.define('email', value =>
+  isEmpty(value) || /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(String(value)) || 'Must be a valid email address.');
+
+validators.define('number', value =>
+  isEmpty(value) || (!isNaN(value) && !isNaN(parseFloat(value))) || 'Must be a number.');
+
+validators.define('integer', value =>
+  isEmpty(value) || Number.isInteger(Number(value)) || 'Must be a whole number.');
+
+Object.freeze(validators);
+export { validators };
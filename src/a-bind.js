@@ -9,29 +9,48 @@ import { scheduler } from './Schedule.js';
 import Bus, { crosstownBus } from './Bus.js';
 import { loader } from './Loader.js';
 import PathResolver from './PathResolver.js';
+import Expression from './Expression.js';
+import { formatters } from './Formatters.js';
+import { validators } from './Validators.js';
 import Logger from './Logger.js';
+import Reactive, { reactive } from './Reactive.js';
+import History from './History.js';
+import Persist from './Persist.js';
+import Bridge from './Bridge.js';
 
 export {
   scheduler,
   crosstownBus,
   loader,
   PathResolver,
-  Logger
+  Logger,
+  Expression,
+  formatters,
+  validators,
+  Reactive,
+  reactive,
+  History,
+  Persist,
+  Bridge
 };
 
 export default class ABind extends HTMLElement {
   #debug;
   #elemProp = 'value';
   #event = 'input';
+  #expr;
+  #format = [];
   #func;
   #modelKey;
   #attr;
   #once = false;
+  #parse = null;
   #prop;
   #pull = false;
   #push = false;
   #target;
   #throttle = 0;
+  #validators = [];
 
   /* only relevant if model is an HTML element */
   #modelEvent = 'input';
@@ -39,6 +58,7 @@ export default class ABind extends HTMLElement {
   #abortController;
   #bound;
   #busKey;
+  #exprUnsubscribers = [];
   #updateSubscribers;
   #observer;
   #group;
@@ -49,11 +69,12 @@ export default class ABind extends HTMLElement {
   #updateManager = scheduler;
 
   #currentValue;
+  #errors = [];
 
   /**
    * List o
    * @static
-   * @returns {string[]} ['debug', 'elem-prop', 'event', 'func', 'model', 'attr', 'once', 'prop', 'pull', 'push', 'throttle']
+   * @returns {string[]} ['debug', 'elem-prop', 'event', 'expr', 'format', 'func', 'model', 'attr', 'once', 'parse', 'prop', 'pull', 'push', 'throttle', 'validate']
    */
   static observedAttributes = [
     'model',
@@ -61,12 +82,16 @@ export default class ABind extends HTMLElement {
     'attr',
     'elem-prop',
     'event',
+    'expr',
+    'format',
     'func',
     'once',
+    'parse',
     'pull',
     'push',
     'target',
-    'throttle'
+    'throttle',
+    'validate'
   ];
 
 
@@ -90,6 +115,17 @@ export default class ABind extends HTMLElement {
       case 'event':
         this.#event = newval;
         break;
+      case 'expr':
+        try {
+          this.#expr = (newval) ? Expression.compile(newval) : null;
+        } catch (error) {
+          this.#expr = null;
+          console.error('a-bind: Invalid expression', error, this);
+        }
+        break;
+      case 'format':
+        this.#format = formatters.parse(newval);
+        break;
       case 'func':
         this.#func = newval;
         break;
@@ -103,6 +139,9 @@ export default class ABind extends HTMLElement {
       case 'once':
         this.#once = this.hasAttribute('once');
         break;
+      case 'parse':
+        this.#parse = (newval === null) ? null : formatters.parse(newval);
+        break;
       case 'prop':
         this.#prop = newval;
         break;
@@ -118,9 +157,12 @@ export default class ABind extends HTMLElement {
       case 'throttle':
         this.#throttle = parseInt(newval) || 0;
         break;
+      case 'validate':
+        this.#validators = validators.parse(newval);
+        break;
     }
 
-    if (this.#isConnected && ['model', 'prop', 'attr'].includes(attr)) {
+    if (this.#isConnected && ['model', 'prop', 'attr', 'expr'].includes(attr)) {
       this.#updateManager.defer(this, null, () => {
         if (this.#isConnected) this.#reinit();
       }, this);
@@ -171,17 +213,74 @@ export default class ABind extends HTMLElement {
 
   // -- Static --
 
+  /**
+   * The shared formatter registry used by the 'format' and 'parse' attributes.
+   * Register custom pipes with `ABind.formatters.define(name, { toView, toModel })`.
+   * @static
+   * @type {Formatters}
+   */
+  static formatters = formatters;
+
+  /**
+   * The shared rule registry used by the 'validate' attribute.
+   * Register custom rules with `ABind.validators.define(name, (value, arg, context) => true | 'message')`.
+   * @static
+   * @type {Validators}
+   */
+  static validators = validators;
+
   /**
    * Static helper to announce an update to the global event bus.
    * Useful for manually triggering updates from outside the element.
+   * The update also reaches bindings on ancestor and descendant paths of `property`,
+   * and is recorded by any active History.
    *
    * @param {object|string} model - The model object or identifier.
-   * @param {string} property - The property name on the model.
+   * @param {string} property - The property name (or path) on the model.
    * @param {any} value - The new value.
    */
   static update(model, property, value) {
-    const key = Bus.getKey(model, property);
-    crosstownBus.announce(key, value)
+    const current = PathResolver.getValue(model, property);
+    if (current !== value) {
+      // not assigned yet, so the model still holds the previous value
+      History.capture(model, property, value, current);
+    } else if (!Reactive.isReactive(model)) {
+      // already assigned: the previous value is known if the path was displayed or recorded
+      History.capture(model, property, value);
+    }
+    // (a reactive model's Proxy has already recorded the assignment)
+    crosstownBus.ripple(model, property, value);
+  }
+
+  /**
+   * Static helper to splice an array on a model and announce the change.
+   * Subscribers of `property` receive the array and a splice record
+   * (`{ type: 'splice', index, removed, added }`), which <a-repeat> applies
+   * as targeted insertions and removals instead of diffing the whole list.
+   *
+   * @param {object} model - The model object.
+   * @param {string} property - The path of the array on the model.
+   * @param {number} start - Index at which to start changing the array.
+   * @param {number} [deleteCount] - Number of items to remove. If omitted, all from `start`;
+   *   an explicit `undefined` removes none, as with `Array.prototype.splice`.
+   * @param {...any} items - Items to insert at `start`.
+   * @returns {Array} The removed items.
+   */
+  static splice(model, property, start, deleteCount, ...items) {
+    const list = Reactive.toRaw(PathResolver.getValue(model, property));
+    if (!Array.isArray(list)) {
+      console.error(`ABind: Cannot splice "${property}" (not an array)`, model);
+      return [];
+    }
+
+    const before = list.slice();
+    const index = start < 0 ? Math.max(list.length + start, 0) : Math.min(start || 0, list.length);
+    const removed = list.splice(index, (arguments.length > 3) ? deleteCount : list.length - index, ...items);
+    if (removed.length === 0 && items.length === 0) return removed;
+
+    History.capture(model, property, list.slice(), before);
+    crosstownBus.ripple(model, property, list, { type: 'splice', index, removed, added: items });
+    return removed;
   }
 
   // -- Public --
@@ -288,6 +387,34 @@ export default class ABind extends HTMLElement {
     this.log?.('#applyUpdate()', this.#logProps({target, name, value}));
   }
 
+  /**
+   * Re-applies the current model value to the view and clears validation state.
+   * Used by <a-bindgroup> after reset().
+   */
+  refresh() {
+    if (!this.#bound || !this.#model) return;
+
+    if (this.#errors.length) {
+      this.#errors = [];
+      this.#bound.setCustomValidity?.('');
+      this.removeAttribute('invalid');
+    }
+
+    if (!this.#push) this.#updateView(this.#readModel());
+    this.log?.('refresh()', this.#logProps());
+  }
+
+  /**
+   * Validates the bound element's current value against the 'validate' rules
+   * without writing it to the model.
+   *
+   * @returns {boolean} True if valid (or if there are no rules).
+   */
+  validate() {
+    if (!this.#bound || !this.#validators.length) return true;
+    return this.#check(this.#toModelValue(this.#readBound()));
+  }
+
   // -- Private --
 
   /**
@@ -300,48 +427,23 @@ export default class ABind extends HTMLElement {
       return console.warn('a-bind.addListeners(): No model present, aborting.', this)
     }
 
-    const prop = this.#prop || this.#attr;
-
     // Element -> Model (Event)
-    if (!this.#pull) {
+    // Expressions are computed, so they are always one-way.
+    if (!this.#pull && !this.#expr) {
       this.log?.('#addListeners() : event', this.#logProps({event: this.#event}));
       this.#bound.addEventListener(this.#event, event => {
-        let value = this.#bound[this.#elemProp];
-        const isCheckbox = this.#bound instanceof HTMLInputElement && this.#bound.type === 'checkbox';
-
-        // checkbox Array Mutation OR Boolean Toggle
-        if (isCheckbox && this.#model) {
-          const currentModelVal = this.#getPropertyValue(this.#model, prop);
-
-          if (Array.isArray(currentModelVal)) {
-            const boxValue = this.#bound.value;
-            const isChecked = this.#bound.checked;
-            // Clone array to trigger immutability detection/reactivity
-            value = isChecked ?
-              [...currentModelVal, boxValue] :
-              currentModelVal.filter(item => item !== boxValue);
-          } else if (typeof currentModelVal === 'boolean') {
-            // If boolean, ignore 'value' attribute and toggle state
-            value = this.#bound.checked;
-          } else if (!this.#bound.checked) {
-            // even if bound element has a value, if not checked set value to null
-            value = null;
-          }
-        }
-
-        // Multi-select
-        if (this.#bound instanceof HTMLSelectElement && this.#bound.multiple) {
-          value = Array.from(this.#bound.selectedOptions).map(option => option.value || option.text);
-        }
-
-        this.#updateModel(value, event);
+        this.#updateModel(this.#readBound(), event);
       }, { signal: this.#abortController.signal });
     }
 
     // Model -> Element (Observer)
     if (!this.#push && !this.#once) {
       // Subscribe to pub/sub
-      crosstownBus.hopOn(this.#busKey, this.#updateSubscribers);
+      if (this.#expr) {
+        this.#subscribeExpression();
+      } else {
+        crosstownBus.hopOn(this.#busKey, this.#updateSubscribers);
+      }
       this.log?.('#addListeners() : subscribe', this.#logProps());
 
       // If model is an html element
@@ -350,9 +452,7 @@ export default class ABind extends HTMLElement {
           if (event.target === this.#bound || event.composedPath().includes(this.#bound)) {
             return;
           }
-          const prop = this.#prop || this.#attr;
-          const value = this.#getPropertyValue(this.#model, prop);
-          this.applyUpdate(this.#bound, this.#elemProp, value);
+          this.#updateView(this.#readModel());
         }, { signal: this.#abortController.signal });
 
         this.log?.('#addListeners()', this.#logProps({elem:this.#model, event: this.#modelEvent}));
@@ -403,6 +503,50 @@ export default class ABind extends HTMLElement {
     return !voidElements.includes(elem.localName);
   }
 
+  /**
+   * Validates a value against the 'validate' rules.
+   * Reports failures through `setCustomValidity()` on the bound element, the 'invalid'
+   * attribute on this element, and an 'abind:invalid' event. Dispatches 'abind:valid'
+   * when a previously invalid binding becomes valid.
+   *
+   * @private
+   * @param {any} value - The (parsed) value about to be written to the model.
+   * @returns {boolean} True if the value may be written.
+   */
+  #check(value) {
+    if (!this.#validators.length) return true;
+
+    const prop = this.#prop || this.#attr;
+    const wasInvalid = this.#errors.length > 0;
+    this.#errors = validators.validate(value, this.#validators, {
+      model: this.#model,
+      element: this.#bound,
+      prop,
+      host: this
+    });
+
+    const invalid = this.#errors.length > 0;
+    this.#bound?.setCustomValidity?.(this.#errors.join('\n'));
+    this.toggleAttribute('invalid', invalid);
+
+    if (invalid) {
+      this.dispatchEvent(new CustomEvent('abind:invalid', {
+        bubbles: true,
+        composed: true,
+        detail: { messages: [...this.#errors], value, prop }
+      }));
+    } else if (wasInvalid) {
+      this.dispatchEvent(new CustomEvent('abind:valid', {
+        bubbles: true,
+        composed: true,
+        detail: { value, prop }
+      }));
+    }
+
+    this.log?.('#check()', this.#logProps({value, errors: this.#errors}));
+    return !invalid;
+  }
+
   /**
    * Executes a specific function defined on the model when an event occurs.
    * Used when the 'func' attribute is present.
@@ -552,11 +696,10 @@ export default class ABind extends HTMLElement {
       // stop watching temporarily to prevent infinite loops
       this.#observer.disconnect();
       try {
-        const prop = this.#prop || this.#attr;
-        const val = this.#getPropertyValue(this.#model, prop);
+        const val = this.#readModel();
 
         // re-apply model value to DOM
-        this.applyUpdate(this.#bound, this.#elemProp, val);
+        this.#updateView(val);
       } finally {
         // start watching again
         if (this.#canHaveChildren(this.#bound)) {
@@ -651,6 +794,7 @@ export default class ABind extends HTMLElement {
 
     this.#syncView();
     this.#addListeners();
+    this.#group?.track?.(this);
   }
 
   #logProps(method_args = {}) {
@@ -685,6 +829,68 @@ export default class ABind extends HTMLElement {
     return value;
   }
 
+  /**
+   * Reads the current value to display from the model.
+   * Evaluates `expr` if present, otherwise resolves `prop` (or the `attr` attribute).
+   *
+   * @private
+   * @returns {any} The model value.
+   */
+  #readModel() {
+    if (this.#expr) {
+      try {
+        return this.#expr.evaluate(path => this.#getPropertyValue(this.#model, path));
+      } catch (error) {
+        console.error('a-bind: Failed to evaluate expression', error, this);
+        return undefined;
+      }
+    }
+
+    return (this.#prop) ?
+      this.#getPropertyValue(this.#model, this.#prop) :
+      this.#model?.getAttribute?.(this.#attr);
+  }
+
+  /**
+   * Reads the current value from the bound element (View).
+   * Handles checkbox arrays/booleans and multi-selects.
+   *
+   * @private
+   * @returns {any} The view value.
+   */
+  #readBound() {
+    const prop = this.#prop || this.#attr;
+    let value = this.#bound[this.#elemProp];
+    const isCheckbox = this.#bound instanceof HTMLInputElement && this.#bound.type === 'checkbox';
+
+    // checkbox Array Mutation OR Boolean Toggle
+    if (isCheckbox && this.#model) {
+      const currentModelVal = this.#getPropertyValue(this.#model, prop);
+
+      if (Array.isArray(currentModelVal)) {
+        const boxValue = this.#bound.value;
+        const isChecked = this.#bound.checked;
+        // Clone array to trigger immutability detection/reactivity
+        value = isChecked ?
+          [...currentModelVal, boxValue] :
+          currentModelVal.filter(item => item !== boxValue);
+      } else if (typeof currentModelVal === 'boolean') {
+        // If boolean, ignore 'value' attribute and toggle state
+        value = this.#bound.checked;
+      } else if (!this.#bound.checked) {
+        // even if bound element has a value, if not checked set value to null
+        value = null;
+      }
+    }
+
+    // Multi-select
+    if (this.#bound instanceof HTMLSelectElement && this.#bound.multiple) {
+      value = Array.from(this.#bound.selectedOptions).map(option => option.value || option.text);
+    }
+
+    return value;
+  }
+
   /**
    * Tears down existing bindings and re-runs initialization.
    * Used when critical attributes (like model or prop) change.
@@ -713,7 +919,7 @@ export default class ABind extends HTMLElement {
     if (
       this.#group &&
       (!this.#model ||
-        (!this.#prop && !this.#attr && !this.#func)
+        (!this.#prop && !this.#attr && !this.#func && !this.#expr)
       )
     ) {
       this.log?.('#resolveGroup(): Waiting for group to provide model or property', this.#logProps());
@@ -788,20 +994,32 @@ export default class ABind extends HTMLElement {
     return (this.#initIdx !== idx || !this.#isConnected);
   }
 
+  /**
+   * Subscribes to the Bus key of every path read by `expr`,
+   * re-computing the output whenever any dependency is announced.
+   * @private
+   */
+  #subscribeExpression() {
+    const recompute = () => this.#updateBound(this.#readModel());
+    for (const path of this.#expr.paths) {
+      const key = Bus.getKey(this.#model, path);
+      this.#exprUnsubscribers.push(crosstownBus.hopOn(key, recompute));
+    }
+  }
+
   /**
    * Pushes the current Model value to the DOM (View).
    * @private
    */
   #syncView() {
     if (this.#push) return;
-    const value = (this.#prop) ?
-      this.#getPropertyValue(this.#model, this.#prop) :
-      this.#model.getAttribute?.(this.#attr);
+    const value = this.#readModel();
+    if (!this.#expr) History.remember(this.#model, this.#prop || this.#attr, value);
 
     // if () console.log(this.#bound, this.#elemProp, value)
     if (value !== undefined) {
       try {
-        this.applyUpdate(this.#bound, this.#elemProp, value);
+        this.#updateView(value);
       } catch (error) {
         console.error('a-bind.syncView(): Failed', error, this);
       }
@@ -822,6 +1040,8 @@ export default class ABind extends HTMLElement {
    */
   #teardown() {
     crosstownBus.hopOff(this.#busKey, this.#updateSubscribers);
+    for (const unsubscribe of this.#exprUnsubscribers) unsubscribe();
+    this.#exprUnsubscribers = [];
 
     if (this.#abortController) {
       this.#abortController.abort();
@@ -840,6 +1060,38 @@ export default class ABind extends HTMLElement {
     this.log?.('#teardown()', this.#logProps());
   }
 
+  /**
+   * Converts a View value into the value written to the Model.
+   * Runs the 'parse' pipes (or the 'format' pipes in reverse) and, when no pipes are set,
+   * auto-converts strings that look like JSON objects or arrays.
+   *
+   * @private
+   * @param {any} value - The value from the DOM element.
+   * @returns {any} The model value.
+   */
+  #toModelValue(value) {
+    // Parsers from the 'parse' attribute, or the 'format' pipes in reverse.
+    const parsers = this.#parse ?? [...this.#format].reverse();
+
+    // auto convert text values that look like objects or arrays (unless parsers are set)
+    if (!parsers.length && !this.#parse && typeof value === 'string' && (value.includes('[') || value.includes('{'))) {
+      try {
+        value = JSON.parse(value);
+      } catch (error) {
+        // pass through
+      }
+    }
+
+    // Use the identity 'value' if present, otherwise stick to boolean 'checked'
+    const isRadio = this.#bound instanceof HTMLInputElement && this.#bound.type === 'radio';
+    if (isRadio && this.#elemProp === 'checked' && this.#bound.hasAttribute('value')) {
+      value = this.#bound.value;
+    }
+
+    if (parsers.length) value = formatters.toModel(value, parsers);
+    return value;
+  }
+
   /**
    * Callback for Bus subscriptions.
    * Schedules a DOM update via the UpdateManager.
@@ -850,10 +1102,21 @@ export default class ABind extends HTMLElement {
   #updateBound(value) {
     this.log?.('#updateBound()', this.#logProps({value}));
     this.#updateManager.defer(this, value, (val) => {
-      this.applyUpdate(this.#bound, this.#elemProp, val);
+      this.#updateView(val);
     }, this);
   }
 
+  /**
+   * Applies a Model value to the bound element, running it through the 'format' pipes first.
+   *
+   * @private
+   * @param {any} value - The model value.
+   */
+  #updateView(value) {
+    if (this.#format.length) value = formatters.toView(value, this.#format);
+    this.applyUpdate(this.#bound, this.#elemProp, value);
+  }
+
   /**
    * Handles View -> Model updates (e.g., input events).
    * Parses values, handles throttling, and announces changes to the Bus.
@@ -864,21 +1127,7 @@ export default class ABind extends HTMLElement {
    */
   #updateModel(value, event) {
     const prop = this.#prop || this.#attr;
-
-    // auto convert text values that look like objects or arrays
-    if (typeof value === 'string' && (value.includes('[') || value.includes('{'))) {
-      try {
-        value = JSON.parse(value);
-      } catch (error) {
-        // pass through
-      }
-    }
-
-    // Use the identity 'value' if present, otherwise stick to boolean 'checked'
-    const isRadio = this.#bound instanceof HTMLInputElement && this.#bound.type === 'radio';
-    if (isRadio && this.#elemProp === 'checked' && this.#bound.hasAttribute('value')) {
-      value = this.#bound.value;
-    }
+    value = this.#toModelValue(value);
 
     // Use key for Scheduler to ensure batching works
     // For functions, use 'this' to prevent batching different elements calling different functions
@@ -887,12 +1136,19 @@ export default class ABind extends HTMLElement {
 
     const doUpdate = (newValue) => {
       if (this.#func) return this.#executeFunction(event);
+      if (!this.#check(newValue)) return;
+
+      // Forms with commit="submit" hold the value until they are submitted.
+      if (this.#group?.buffered) return this.#group.stage(this, newValue);
 
       const currentValue = this.#getPropertyValue(this.#model, prop);
       const hasChanged = this.#parsedValue(newValue, this.#bound) !== this.#parsedValue(currentValue, this.#bound);
       if (hasChanged && newValue !== undefined) {
+        // A reactive model's set trap records and announces the write itself
+        const reactive = Reactive.isReactive(this.#model);
+        if (!reactive) History.capture(this.#model, prop, newValue, currentValue);
         this.applyUpdate(this.#model, prop, newValue);
-        crosstownBus.announce(this.#busKey, newValue);
+        if (!reactive) crosstownBus.ripple(this.#model, prop, newValue);
       }
     }
 
@@ -937,9 +1193,24 @@ export default class ABind extends HTMLElement {
    */
   get property() { return this.#prop || this.#attr }
   get boundValue() { return PathResolver.getValue(this.bound, this.elemProp) }
-  get modelValue() { return PathResolver.getValue(this.model, this.property) }
+  get modelValue() {
+    if (this.#expr) return this.#model ? this.#readModel() : undefined;
+    return PathResolver.getValue(this.model, this.property);
+  }
   // get modelValue() { return [this.model, this.property] }
 
+  /**
+   * Returns true if the last validated value passed every 'validate' rule.
+   * @returns {boolean}
+   */
+  get valid() { return this.#errors.length === 0 }
+
+  /**
+   * Returns the messages from the last failed validation.
+   * @returns {string[]}
+   */
+  get errors() { return [...this.#errors] }
+
   /**
    * Gets or sets the actual DOM element being bound.
    * @type {HTMLElement}
@@ -977,6 +1248,32 @@ export default class ABind extends HTMLElement {
   get event() { return this.#event }
   set event(value) { this.setAttribute('event', value) }
 
+  /**
+   * Gets/Sets the 'expr' attribute.
+   * A computed expression evaluated against the model (e.g. "firstName + ' ' + lastName").
+   * Bindings with an expression are one-way (Model -> View).
+   * @type {string}
+   */
+  get expr() { return this.#expr?.source }
+  set expr(value) { this.setAttribute('expr', value) }
+
+  /**
+   * Gets/Sets the 'format' attribute.
+   * Pipes applied to model values before they are displayed (e.g. "currency:USD").
+   * @type {string}
+   */
+  get format() { return this.getAttribute('format') }
+  set format(value) { this.setAttribute('format', value) }
+
+  /**
+   * Gets/Sets the 'parse' attribute.
+   * Pipes applied to view values before they are written to the model (e.g. "number").
+   * Defaults to the 'format' pipes in reverse. Setting it (even to "raw") disables automatic JSON conversion.
+   * @type {string}
+   */
+  get parse() { return this.getAttribute('parse') }
+  set parse(value) { this.setAttribute('parse', value) }
+
   /**
    * Gets/Sets the 'func' attribute.
    * If set, this function is called instead of updating a property.
@@ -1048,6 +1345,15 @@ export default class ABind extends HTMLElement {
   get throttle() { return this.#throttle }
   set throttle(value) { this.setAttribute('throttle', parseInt(value) ||0) }
 
+  /**
+   * Gets/Sets the 'validate' attribute.
+   * Rules a view value must pass before it is written to the model (e.g. "required|min:3").
+   * Named `validation` because `validate()` runs the rules.
+   * @type {string}
+   */
+  get validation() { return this.getAttribute('validate') }
+  set validation(value) { this.setAttribute('validate', value) }
+
   /**
    * Gets/Sets the 'target' attribute.
    * A CSS selector to find the element to bind to (if not a direct child).
@@ -1,8 +1,14 @@
 /**
  * A Custom Element (<a-bindgroup>) that acts as a context provider for
- * child <a-bind> and <a-repeat> elements. It allows setting a shared 'model',
+ * child <a-bind>, <a-repeat>, <a-if>, <a-show> and <a-switch> elements. It allows setting a shared 'model',
  * 'prop', or 'attr' on a parent level to avoid repetition on children.
  *
+ * It also works as a form controller: it tracks dirty/touched/valid state for each
+ * registered <a-bind>, can reset them to their initial model values, and with
+ * `commit="submit"` or `buffer` holds edits in a draft until they are committed.
+ * With the `history` attribute it records model changes for undo/redo (Ctrl+Z / Ctrl+Shift+Z / Ctrl+Y),
+ * and with `persist` it saves bound properties to storage.
+ *
  * @extends HTMLElement
  *
  * @author Holmes Bryant <https://github.com/HolmesBryant>
@@ -10,25 +16,133 @@
  * @version 1.0
  */
 
+import { crosstownBus } from './Bus.js';
 import { loader } from './Loader.js';
+import PathResolver from './PathResolver.js';
+import History from './History.js';
+import Reactive from './Reactive.js';
+import Persist from './Persist.js';
 
 export default class ABindgroup extends HTMLElement {
+  #abortController;
+  #buffer = false;
   #childObserver;
   #children = new Set();
+  #commit = 'input';
   #debug;
+  #history = null;
   #isConnected = false;
   #modelAttr;
   #modelKey;
   #modelInstance;
+  #persist = null;
   #prop;
   #initPending = false;
 
-  static observedAttributes = ['model', 'attr', 'prop', 'debug'];
+  /**
+   * Form state for each registered child.
+   * @private
+   * @type {Map<HTMLElement, {initial: any, tracked: boolean, touched: boolean}>}
+   */
+  #state = new Map();
+
+  /**
+   * Buffered writes (child -> value) waiting for submit.
+   * @private
+   * @type {Map<HTMLElement, any>}
+   */
+  #pending = new Map();
+
+  static observedAttributes = ['model', 'attr', 'prop', 'buffer', 'commit', 'debug', 'history', 'persist'];
 
   constructor() { super() }
 
   // --- Getters / Setters ---
 
+  /**
+   * Gets or sets the 'buffer' attribute.
+   * If true, child writes go to a draft until `commit()` or `rollback()` is called.
+   * @type {boolean}
+   */
+  get buffer() { return this.#buffer }
+  set buffer(value) { this.toggleAttribute('buffer', value !== false) }
+
+  /**
+   * True when child writes go to the draft instead of the model
+   * (`buffer` is set, or `commit="submit"`).
+   * @type {boolean}
+   */
+  get buffered() { return this.#buffer || this.#commit === 'submit' }
+
+  /**
+   * Gets or sets the 'commit' attribute ('input' or 'submit').
+   * Named `commitMode` because `commit()` applies the draft.
+   * @type {string}
+   */
+  get commitMode() { return this.#commit }
+  set commitMode(value) { this.setAttribute('commit', value) }
+
+  /**
+   * The drafted (uncommitted) values, keyed by property.
+   * @type {Object<string, any>}
+   */
+  get draft() {
+    const draft = {};
+    for (const [child, value] of this.#pending) draft[child.property] = value;
+    return draft;
+  }
+
+  /**
+   * True if any tracked child's value (buffered or in the model) differs from its initial value.
+   * @type {boolean}
+   */
+  get dirty() {
+    for (const child of this.#state.keys()) {
+      if (this.getState(child).dirty) return true;
+    }
+    return false;
+  }
+
+  /**
+   * Validation messages of invalid children, keyed by property.
+   * @type {Object<string, string[]>}
+   */
+  get errors() {
+    const errors = {};
+    for (const child of this.#state.keys()) {
+      if (child.errors?.length) errors[child.property] = child.errors;
+    }
+    return errors;
+  }
+
+  /**
+   * True if any child's bound element has lost focus since the last reset or submit.
+   * @type {boolean}
+   */
+  get touched() {
+    for (const state of this.#state.values()) {
+      if (state.touched) return true;
+    }
+    return false;
+  }
+
+  /**
+   * True if every child passed its last validation.
+   * @type {boolean}
+   */
+  get valid() {
+    for (const child of this.#state.keys()) {
+      if (child.valid === false) return false;
+    }
+    return true;
+  }
+
+  /**
+   * The undo/redo history of the group's model, or null without the 'history' attribute.
+   * @type {History|null}
+   */
+  get history() { return this.#history }
+
   /**
    * Gets the resolved model instance.
    * Sets the model:
@@ -61,6 +175,12 @@ export default class ABindgroup extends HTMLElement {
   get modelKey() { return this.#modelKey }
   set modelKey(value) { this.#modelKey = value }
 
+  /**
+   * The storage for bound properties, or null without the 'persist' attribute.
+   * @type {Persist|null}
+   */
+  get persistence() { return this.#persist }
+
   /**
    * Gets or sets the 'prop' attribute.
    * Represents a shared prop name to bind to on the model.
@@ -94,6 +214,18 @@ export default class ABindgroup extends HTMLElement {
         this.#prop = newval;
         this.#updateChildrenDefaults();
         break;
+      case 'buffer':
+        this.#buffer = this.hasAttribute('buffer');
+        break;
+      case 'commit':
+        this.#commit = newval || 'input';
+        break;
+      case 'history':
+        if (this.#isConnected) this.#setupHistory();
+        break;
+      case 'persist':
+        if (this.#isConnected && this.#modelInstance) this.#setupPersist();
+        break;
       case 'debug':
         this.#debug = this.hasAttribute('debug');
     }
@@ -106,12 +238,14 @@ export default class ABindgroup extends HTMLElement {
    */
   async connectedCallback() {
     this.#isConnected = true;
+    this.#setupHistory();
+    this.#addListeners();
     // if a-bindgroup was inserted into DOM programatically without first appending children
     if (!this.firstElementChild) {
       if (this.#debug) console.warn('a-bindgroup: waiting for children');
 
       this.#childObserver = new MutationObserver(() => {
-        if (this.#isConnected && this.querySelector('a-bind, a-repeat')) {
+        if (this.#isConnected && this.querySelector('a-bind, a-repeat, a-if, a-show, a-switch')) {
           if (this.#initPending) return;
           this.#initPending = true;
           requestAnimationFrame(() => {
@@ -129,7 +263,7 @@ export default class ABindgroup extends HTMLElement {
       });
 
       this.#childObserver.observe(this, { childList: true });
-    } else if (this.#modelKey) {
+    } else if (this.#modelKey || this.#modelInstance) {
       this.#init();
     }
   }
@@ -139,13 +273,21 @@ export default class ABindgroup extends HTMLElement {
    * Clears the registry of child elements.
    */
   disconnectedCallback() {
+    this.#abortController?.abort();
+    this.#abortController = null;
     this.#children.clear();
+    this.#state.clear();
+    this.#pending.clear();
+    this.#history?.dispose();
+    this.#history = null;
+    this.#persist?.dispose();
+    this.#persist = null;
   }
 
   // --- Public ---
 
   /**
-   * Registers a child element (a-bind or a-repeat) with this group.
+   * Registers a child element (a-bind, a-repeat, a-if, a-show or a-switch) with this group.
    * Applies the group's model, prop, or attribute configurations to the child
    * if the child has not explicitly defined them.
    *
@@ -154,6 +296,9 @@ export default class ABindgroup extends HTMLElement {
    */
   async register(child) {
     this.#children.add(child);
+    if (!this.#state.has(child)) {
+      this.#state.set(child, { initial: undefined, tracked: false, touched: false });
+    }
     this.#applyDefaultsToChild(child);
   }
 
@@ -163,10 +308,187 @@ export default class ABindgroup extends HTMLElement {
    */
   unregister(child) {
     this.#children.delete(child);
+    this.#state.delete(child);
+  }
+
+  /**
+   * Records a child's current model value as its initial (pristine) value.
+   * Called by <a-bind> once its view has been synced with the model.
+   *
+   * @param {HTMLElement} child - A registered <a-bind>.
+   */
+  track(child) {
+    const state = this.#state.get(child);
+    if (!state || state.tracked) return;
+    // watching applies the stored value, which is the pristine state
+    if (child.model === this.#modelInstance) this.#persist?.watch(child.property);
+    state.initial = this.#snapshot(child.modelValue);
+    state.tracked = true;
+  }
+
+  /**
+   * Returns the form state of a single registered child.
+   *
+   * @param {HTMLElement} child - A registered <a-bind>.
+   * @returns {{dirty: boolean, touched: boolean, valid: boolean, errors: string[]}|undefined}
+   */
+  getState(child) {
+    const state = this.#state.get(child);
+    if (!state) return undefined;
+
+    const current = this.#pending.has(child) ?
+      this.#pending.get(child) :
+      child.modelValue;
+
+    return {
+      dirty: state.tracked && !this.#isEqual(current, state.initial),
+      touched: state.touched,
+      valid: child.valid !== false,
+      errors: child.errors ?? []
+    };
+  }
+
+  /**
+   * Buffers a child's write in the draft (used when `buffered` is true).
+   *
+   * @param {HTMLElement} child - The <a-bind> that produced the value.
+   * @param {any} value - The parsed, validated value.
+   */
+  stage(child, value) {
+    if (!child.property) return;
+    this.#pending.set(child, value);
+  }
+
+  /**
+   * Restores every tracked child to its initial model value, discarding buffered edits,
+   * and clears touched and validation state.
+   */
+  reset() {
+    this.#pending.clear();
+
+    for (const [child, state] of this.#state) {
+      state.touched = false;
+      if (!state.tracked || !child.model || !child.property) continue;
+
+      const value = this.#snapshot(state.initial);
+      const old = PathResolver.getValue(child.model, child.property);
+      if (PathResolver.setValue(child.model, child.property, value) && !Reactive.isReactive(child.model)) {
+        History.capture(child.model, child.property, value, old);
+        crosstownBus.ripple(child.model, child.property, value);
+      }
+    }
+
+    for (const child of this.#state.keys()) child.refresh?.();
+    this.dispatchEvent(new CustomEvent('abind:reset', { bubbles: true, composed: true }));
+  }
+
+  /**
+   * Applies every drafted value to the model, then announces them in a single Bus batch.
+   * The committed values become the new initial values. Dispatches 'abind:commit'.
+   *
+   * @returns {Object<string, any>} The committed changes, keyed by property.
+   */
+  commit() {
+    const changes = {};
+
+    crosstownBus.batch(() => {
+      for (const [child, value] of this.#pending) {
+        if (!child.model) continue;
+        const old = PathResolver.getValue(child.model, child.property);
+        if (PathResolver.setValue(child.model, child.property, value)) {
+          // a reactive model's set trap records and announces the write itself
+          if (!Reactive.isReactive(child.model)) {
+            History.capture(child.model, child.property, value, old);
+            crosstownBus.ripple(child.model, child.property, value);
+          }
+          changes[child.property] = value;
+        }
+      }
+    });
+    this.#pending.clear();
+
+    for (const [child, state] of this.#state) {
+      if (state.tracked) state.initial = this.#snapshot(child.modelValue);
+    }
+
+    this.dispatchEvent(new CustomEvent('abind:commit', {
+      bubbles: true,
+      composed: true,
+      detail: { changes }
+    }));
+    return changes;
+  }
+
+  /**
+   * Discards the draft and restores every view from the (unchanged) model.
+   * Dispatches 'abind:rollback'.
+   */
+  rollback() {
+    this.#pending.clear();
+    for (const child of this.#state.keys()) child.refresh?.();
+    this.dispatchEvent(new CustomEvent('abind:rollback', { bubbles: true, composed: true }));
+  }
+
+  /**
+   * Validates every child and, if all are valid, commits the draft.
+   * Dispatches 'abind:submit' on success.
+   *
+   * @returns {boolean} True if the group was valid and committed.
+   */
+  submit() {
+    let valid = true;
+    for (const child of this.#state.keys()) {
+      if (child.validate && !child.validate()) valid = false;
+    }
+    if (!valid) return false;
+
+    const changes = this.commit();
+    for (const state of this.#state.values()) state.touched = false;
+
+    this.dispatchEvent(new CustomEvent('abind:submit', {
+      bubbles: true,
+      composed: true,
+      detail: { changes }
+    }));
+    return true;
   }
 
   // --- Private ---
 
+  /**
+   * Listens for 'focusout' (touched state), 'submit' (validation and commit)
+   * and undo/redo shortcuts when the group has a history.
+   * Submit events are taken from the closest <form>, or from forms inside the group.
+   *
+   * @private
+   */
+  #addListeners() {
+    this.#abortController?.abort();
+    this.#abortController = new AbortController();
+    const signal = this.#abortController.signal;
+
+    this.addEventListener('focusout', event => {
+      for (const [child, state] of this.#state) {
+        if (child.bound && (child.bound === event.target || child.bound.contains?.(event.target))) {
+          state.touched = true;
+        }
+      }
+    }, { signal });
+
+    this.addEventListener('keydown', event => {
+      if (!this.#history || !(event.ctrlKey || event.metaKey) || event.altKey) return;
+      const key = event.key.toLowerCase();
+      let done = false;
+      if (key === 'z') done = event.shiftKey ? this.#history.redo() : this.#history.undo();
+      else if (key === 'y') done = this.#history.redo();
+      if (done) event.preventDefault();
+    }, { signal });
+
+    (this.closest('form') ?? this).addEventListener('submit', event => {
+      if (!this.submit()) event.preventDefault();
+    }, { signal });
+  }
+
   /**
    * Applies the group's default settings (model, prop, attr)
    * to a specific child element.
@@ -184,6 +506,24 @@ export default class ABindgroup extends HTMLElement {
     }
   }
 
+  /**
+   * Compares two values, treating objects and arrays with equal JSON as equal.
+   *
+   * @private
+   * @param {any} a
+   * @param {any} b
+   * @returns {boolean}
+   */
+  #isEqual(a, b) {
+    if (a === b) return true;
+    if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null) return false;
+    try {
+      return JSON.stringify(a) === JSON.stringify(b);
+    } catch (error) {
+      return false;
+    }
+  }
+
   /**
    * Initializes the group.
    * Resolves the model instance (if needed) and registers existing children.
@@ -202,17 +542,19 @@ export default class ABindgroup extends HTMLElement {
       this.#modelInstance = await this.#resolveModel();
     }
 
+    // hydrate before children take their initial snapshots
+    await this.#setupPersist();
     this.#registerChildren();
   }
 
   /**
-   * Scans the DOM for nested <a-bind> or <a-repeat> elements
+   * Scans the DOM for nested <a-bind>, <a-repeat>, <a-if>, <a-show> or <a-switch> elements
    * and registers them if they don't have their own model defined.
    *
    * @private
    */
   #registerChildren() {
-    const children = this.querySelectorAll('a-bind, a-repeat');
+    const children = this.querySelectorAll('a-bind, a-repeat, a-if, a-show, a-switch');
     for (const child of children) {
       if (child.closest('a-bindgroup') === this && !child.hasAttribute('model')) {
         this.register(child);
@@ -251,6 +593,71 @@ export default class ABindgroup extends HTMLElement {
     }
   }
 
+  /**
+   * Copies objects and arrays so later mutations don't change recorded values.
+   *
+   * @private
+   * @param {any} value - The value to copy.
+   * @returns {any}
+   */
+  #snapshot(value) {
+    if (typeof value !== 'object' || value === null) return value;
+    try {
+      return structuredClone(value);
+    } catch (error) {
+      return value;
+    }
+  }
+
+  /**
+   * Creates or disposes the history to match the 'history' attribute.
+   * A numeric value sets the maximum number of undo steps (e.g. `history="50"`).
+   *
+   * @private
+   */
+  #setupHistory() {
+    if (!this.hasAttribute('history')) {
+      this.#history?.dispose();
+      this.#history = null;
+      return;
+    }
+
+    this.#history ??= new History({ group: this });
+    const limit = parseInt(this.getAttribute('history'));
+    if (limit > 0) this.#history.limit = limit;
+  }
+
+  /**
+   * Creates (or replaces) the storage for bound properties to match the 'persist' attribute
+   * and waits for the stored values to be applied to the model.
+   * The 'persist' value is a storage spec such as `local:settings` (see Persist).
+   *
+   * @private
+   * @returns {Promise<void>}
+   */
+  async #setupPersist() {
+    this.#persist?.dispose();
+    this.#persist = null;
+    if (!this.hasAttribute('persist') || !this.#modelInstance) return;
+
+    try {
+      this.#persist = new Persist(this.#modelInstance, this.getAttribute('persist'), { paths: [] });
+    } catch (error) {
+      console.error(`a-bindgroup: ${error.message}`);
+      return;
+    }
+
+    for (const [child, state] of this.#state) {
+      if (state.tracked && child.model === this.#modelInstance) this.#persist.watch(child.property);
+    }
+    await this.#persist.ready;
+
+    // stored values are the pristine state
+    for (const [child, state] of this.#state) {
+      if (state.tracked) state.initial = this.#snapshot(child.modelValue);
+    }
+  }
+
   /**
    * Iterates over all registered children and re-applies defaults.
    * Used when group attributes (like 'prop' or 'attr') change dynamically.
@@ -0,0 +1,265 @@
+/**
+ * Conditional rendering driven by a model path.
+ *
+ * <a-if> stamps its first <template> while the value at `model`/`prop` is truthy,
+ * and its `<template else>` (if any) while it is falsy. Stamped content is removed
+ * when the condition changes, so nested <a-bind> and <a-repeat> elements disconnect
+ * and release their subscriptions.
+ *
+ * <a-show> keeps its children in the DOM and only toggles their visibility.
+ *
+ * @extends HTMLElement
+ *
+ * @author Holmes Bryant <https://github.com/HolmesBryant>
+ * @license GPL-3.0
+ * @version 1.0
+ */
+
+import Bus, { crosstownBus } from './Bus.js';
+import { loader } from './Loader.js';
+import PathResolver from './PathResolver.js';
+import Template from './Template.js';
+
+export default class AIf extends HTMLElement {
+  #elseTemplate = null;
+  #group = null;
+  #isConnected = false;
+  #model;
+  #modelLoadId = 0;
+  #nodes = [];
+  #not = false;
+  #prop;
+  #state = null;
+  #template = null;
+  #unsubscribe;
+  #value;
+
+  /**
+   * 'mount' stamps and removes templates; 'show' toggles the `hidden` attribute.
+   * @static
+   * @type {'mount'|'show'}
+   */
+  static mode = 'mount';
+
+  /**
+   * List of attributes to observe for changes.
+   * @static
+   * @returns {string[]} ['model', 'prop', 'not']
+   */
+  static observedAttributes = ['model', 'prop', 'not'];
+
+  constructor() {
+    super();
+    this.attachShadow({ mode: 'open' });
+    this.shadowRoot.innerHTML = '<style>:host{ display:contents } :host([hidden]){ display:none }</style><slot></slot>';
+  }
+
+  // --- Lifecycle ---
+
+  /**
+   * Called when an observed attribute changes.
+   *
+   * @param {string} attr - The attribute name.
+   * @param {string} oldval - The old value.
+   * @param {string} newval - The new value.
+   */
+  attributeChangedCallback(attr, oldval, newval) {
+    if (oldval === newval) return;
+    switch (attr) {
+      case 'model':
+        const currentModelId = ++this.#modelLoadId;
+        loader.load(newval)
+        .then(model => {
+          if (this.#modelLoadId !== currentModelId) return;
+          if (!this.#isConnected) return;
+          this.#model = model;
+          this.#state = null; // re-stamp so the content binds to the new model
+          this.#subscribe();
+        })
+        .catch(error => {
+          if (this.#modelLoadId !== currentModelId) return;
+          console.error(`${this.localName}: Failed to load model: ${newval}`, error);
+        });
+        break;
+
+      case 'prop':
+        this.#prop = newval;
+        if (this.#isConnected) this.#subscribe();
+        break;
+
+      case 'not':
+        this.#not = newval !== null;
+        if (this.#isConnected) this.#render(this.#value);
+        break;
+    }
+  }
+
+  /**
+   * Called when the element is connected to the DOM.
+   * Finds the templates, and subscribes if the model and prop are known.
+   * Without a 'model' attribute, the closest <a-bindgroup> provides the model.
+   */
+  connectedCallback() {
+    this.#isConnected = true;
+    this.#upgrade('model');
+    this.#initTemplates();
+
+    if (!this.hasAttribute('model') && !this.#model) {
+      this.#group = this.closest('a-bindgroup');
+      this.#group?.register(this);
+    }
+
+    if (this.#model && this.#prop) this.#subscribe();
+  }
+
+  /**
+   * Called when the element is disconnected from the DOM.
+   * Unsubscribes from the Bus. Stamped content is kept.
+   */
+  disconnectedCallback() {
+    this.#isConnected = false;
+    this.#cleanup();
+    this.#group?.unregister(this);
+    this.#group = null;
+  }
+
+  // --- Private ---
+
+  /**
+   * Unsubscribes from the Bus.
+   * @private
+   */
+  #cleanup() {
+    if (this.#unsubscribe) {
+      this.#unsubscribe();
+      this.#unsubscribe = null;
+    }
+  }
+
+  /**
+   * Finds the `<template>` and `<template else>` children.
+   * @private
+   */
+  #initTemplates() {
+    if (this.constructor.mode !== 'mount') return;
+    const templates = Array.from(this.children).filter(el => el.localName === 'template');
+    this.#template = templates.find(tmpl => !tmpl.hasAttribute('else')) ?? null;
+    this.#elseTemplate = templates.find(tmpl => tmpl.hasAttribute('else')) ?? null;
+
+    if (!this.#template) console.warn(`${this.localName}: Missing <template>`, this);
+  }
+
+  /**
+   * Shows the branch that matches the value.
+   * Does nothing if the condition has not changed.
+   *
+   * @private
+   * @param {any} value - The value at `prop`.
+   */
+  #render(value) {
+    this.#value = value;
+    const truthy = this.#not ? !value : !!value;
+    if (truthy === this.#state) return;
+    this.#state = truthy;
+
+    if (this.constructor.mode === 'show') {
+      this.hidden = !truthy;
+      return;
+    }
+
+    for (const node of this.#nodes) node.remove();
+    this.#nodes = [];
+
+    const template = truthy ? this.#template : this.#elseTemplate;
+    if (!template) return;
+
+    const fragment = template.content.cloneNode(true);
+    Template.provideModel(fragment, this.#model);
+    this.#nodes = Array.from(fragment.childNodes);
+    this.append(fragment);
+  }
+
+  /**
+   * Subscribes to the crosstownBus and renders the current value.
+   * @private
+   */
+  #subscribe() {
+    this.#cleanup();
+    if (!this.#prop) return;
+
+    this.#render(this.#model ? PathResolver.getValue(this.#model, this.#prop) : undefined);
+    if (!this.#model) return;
+
+    const busKey = Bus.getKey(this.#model, this.#prop);
+    this.#unsubscribe = crosstownBus.hopOn(busKey, value => this.#render(value));
+  }
+
+  /**
+   * Captures properties set on the instance before the class was upgraded.
+   *
+   * @private
+   * @param {string} prop - The property name.
+   */
+  #upgrade(prop) {
+    if (Object.prototype.hasOwnProperty.call(this, prop)) {
+      const value = this[prop];
+      delete this[prop];
+      this[prop] = value;
+    }
+  }
+
+  // --- Getters / Setters ---
+
+  /**
+   * Gets or sets the model source.
+   * If a string is passed, it updates the attribute (triggering the Loader).
+   * @type {object|string}
+   */
+  get model() { return this.#model }
+  set model(value) {
+    if (this.#model === value) return;
+    if (typeof value === 'string') {
+      this.setAttribute('model', value);
+    } else {
+      this.#model = value;
+      this.#state = null; // re-stamp so the content binds to the new model
+      if (this.#isConnected && this.#prop) this.#subscribe();
+    }
+  }
+
+  /**
+   * Gets or sets the 'not' attribute. If true, the condition is inverted.
+   * @type {boolean}
+   */
+  get not() { return this.#not }
+  set not(value) { this.toggleAttribute('not', !!value) }
+
+  /**
+   * Gets or sets the path of the condition on the model.
+   * @type {string}
+   */
+  get prop() { return this.#prop }
+  set prop(value) {
+    if (this.#prop === value) return;
+    this.setAttribute('prop', value);
+  }
+
+  /**
+   * The current result of the condition (null before the first render).
+   * @type {boolean|null}
+   */
+  get state() { return this.#state }
+}
+
+/**
+ * A Custom Element (<a-show>) that toggles the visibility of its children
+ * (via the `hidden` attribute) instead of stamping a template.
+ *
+ * @extends AIf
+ */
+export class AShow extends AIf {
+  static mode = 'show';
+}
+
+if (!customElements.get('a-if')) customElements.define('a-if', AIf);
+if (!customElements.get('a-show')) customElements.define('a-show', AShow);
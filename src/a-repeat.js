@@ -13,12 +13,11 @@
 
 import Bus, { crosstownBus } from './Bus.js';
 import { loader } from './Loader.js';
+import { scheduler } from './Schedule.js';
 import PathResolver from './PathResolver.js';
+import Reactive from './Reactive.js';
 import Logger from './Logger.js';
-
-const TOKEN_REGEX = /\{\{\s*([a-zA-Z0-9_.]+)\s*\}\}/g;
-const PROTOCOL_REGEX = /^[a-zA-Z][a-zA-Z0-9+.-]*:/; // RFC 3986 Scheme validation
-const ALLOWED_PROTOCOLS = new Set(['http:', 'https:', 'mailto:', 'tel:', 'ftp:']);
+import Template from './Template.js';
 
 /**
  * A Custom Element (<a-repeat>) that iterates over an array (from a model or property)
@@ -29,18 +28,49 @@ const ALLOWED_PROTOCOLS = new Set(['http:', 'https:', 'mailto:', 'tel:', 'ftp:']
  */
 export default class ARepeat extends HTMLElement {
   // -- Attributes --
+  #animate = null;
+  #as;
+  #children;
+  #chunk = 0;
+  #count = null;
   #debug;
+  #filterProp;
+  #filterValue;
+  #indexAs;
+  #itemHeight = 0;
   #key;
   #model;
+  #overscan = 5;
+  #page;
+  #pageSize = 0;
   #prop;
   #scope;
+  #sort;
   #target;
   #template;
+  #templateBy;
   #templates;
+  #virtual = false;
 
   // -- Properties --
+  #appeared = false;
+  #depth = 0;
+  #parentRepeat = null;
   #data = [];
+  #rendered;
+  #resolveRendered = null;
+  #state = null;
+  #stateData;
+  #stateNodes = [];
+  #stateSlots = [];
+  #stateTemplates = {};
+  #view = [];
+  #viewCount = 0;
+  #viewOffset = 0;
+  #viewUnsubscribes = [];
   #defaultTemplate;
+  #instances = [];
+  #keyBy = null;
   #isConnected = false;
   #targetElem;
   #templateMap = new Map();
@@ -49,25 +79,93 @@ export default class ARepeat extends HTMLElement {
   #scopeLoadId = 0;
   #implicitTemplate;
 
+  // -- Chunked Rendering --
+  #chunkCursor = 0;
+  #chunkTask = {};
+  #pendingCount = 0;
+
+  // -- Virtual Rendering --
+  #heights = new Map();
+  #offsets = null;
+  #resizeObserver = null;
+  #scroller = null;
+  #spacers = null;
+  #virtualController = null;
+  #windowTask = {};
+
+  /**
+   * Attributes that mark the templates stamped in place of rows.
+   * @private
+   * @static
+   * @type {string[]}
+   */
+  static #states = ['empty', 'loading', 'error'];
+
+  /**
+   * Attributes copied to the nested <a-repeat> of each level of a tree (see 'children').
+   * @private
+   * @static
+   * @type {string[]}
+   */
+  static #inherited = ['animate', 'as', 'children', 'index-as', 'key', 'sort', 'template-by', 'templates'];
+
+  /**
+   * Compares strings for the 'sort' attribute (numeric-aware, case-insensitive).
+   * @private
+   * @static
+   * @type {Intl.Collator}
+   */
+  static #collator = new Intl.Collator(undefined, { numeric: true, sensitivity: 'base' });
+
+  /**
+   * Options for the Web Animations API when keyed rows move (animate mode).
+   * @static
+   * @type {object}
+   */
+  static moveAnimation = { duration: 200, easing: 'ease' };
+
+  /**
+   * Row height (px) assumed for rows that have not been measured yet in variable-height virtual mode.
+   * @static
+   * @type {number}
+   */
+  static estimatedItemHeight = 32;
+
   /**
    * List of attributes to observe for changes.
    * @static
-   * @returns {string[]} ['key', 'model', 'prop', 'scope', 'target', 'template', 'templates']
+   * @returns {string[]} ['animate', 'as', 'children', 'chunk', 'count', 'filter-prop', 'filter-value', 'index-as', 'item-height', 'key', 'model', 'overscan', 'page', 'page-size', 'prop', 'scope', 'sort', 'target', 'template', 'template-by', 'templates', 'virtual']
    */
   static observedAttributes = [
+    'animate',
+    'as',
+    'children',
+    'chunk',
+    'count',
+    'filter-prop',
+    'filter-value',
+    'index-as',
+    'item-height',
     'key',
     'model',
+    'overscan',
+    'page',
+    'page-size',
     'prop',
     'scope',
+    'sort',
     'target',
     'template',
-    'templates'
+    'template-by',
+    'templates',
+    'virtual'
   ];
 
   constructor() {
     super();
     this.attachShadow({mode:'open'});
     this.shadowRoot.innerHTML = '<style>:host{ display:contents }</style><slot></slot>';
+    this.#startRender();
   }
 
   // --- Lifecycle ---
@@ -83,26 +181,90 @@ export default class ARepeat extends HTMLElement {
   attributeChangedCallback(attr, oldval, newval) {
     if (oldval === newval) return;
     switch (attr) {
+      case 'animate':
+        this.#animate = (newval === null) ? null : (newval || 'arepeat');
+        break;
+
+      case 'as':
+        this.#as = newval;
+        this.#refreshRows();
+        break;
+
+      case 'children':
+        this.#children = newval;
+        if (this.#isConnected && this.#targetElem) this.#remount();
+        break;
+
+      case 'chunk':
+        this.#chunk = Math.max(parseInt(newval, 10) || 0, 0);
+        break;
+
+      case 'count':
+        this.#count = (newval === null) ? null : Math.max(parseInt(newval, 10) || 0, 0);
+        if (!this.#prop) this.#render(this.#count ?? []);
+        break;
+
+      case 'filter-prop':
+        this.#filterProp = newval;
+        this.#refreshView();
+        break;
+
+      case 'filter-value':
+        this.#filterValue = newval;
+        this.#watchView();
+        this.#refreshView();
+        break;
+
+      case 'index-as':
+        this.#indexAs = newval;
+        this.#refreshRows();
+        break;
+
+      case 'item-height':
+        this.#itemHeight = Math.max(parseFloat(newval) || 0, 0);
+        this.#offsets = null;
+        if (this.#virtual && this.#targetElem) this.#scheduleWindow();
+        break;
+
       case 'key':
         this.#key = newval;
         break;
 
       case 'model':
         const currentModelId = ++this.#modelLoadId;
+        this.#showState('loading');
         loader.load(newval)
         .then( model => {
           if (this.#modelLoadId !== currentModelId) return;
           if (!this.#isConnected) return;
           this.#model = model
+          if (this.#state === 'loading') this.#showState(null);
           this.#subscribe();
         })
         .catch( error => {
           // only log errors for the active request
           if (this.#modelLoadId !== currentModelId) return;
           console.error(`a-repeat: Failed to load model: ${newval}`, error);
+          this.#showState('error', { message: error?.message ?? String(error), error });
         });
         break;
 
+      case 'overscan':
+        this.#overscan = Math.max(parseInt(newval, 10) || 0, 0);
+        if (this.#virtual && this.#targetElem) this.#scheduleWindow();
+        break;
+
+      case 'page':
+        this.#page = newval;
+        this.#watchView();
+        this.#refreshView();
+        break;
+
+      case 'page-size':
+        this.#pageSize = Math.max(parseInt(newval, 10) || 0, 0);
+        this.#refreshView();
+        break;
+
       case 'prop':
         this.#prop = newval;
         this.#subscribe();
@@ -129,6 +291,11 @@ export default class ARepeat extends HTMLElement {
         });
         break;
 
+      case 'sort':
+        this.#sort = newval;
+        this.#refreshView();
+        break;
+
       case 'target':
         this.#target = newval;
         break;
@@ -137,14 +304,29 @@ export default class ARepeat extends HTMLElement {
         this.#template = newval;
         break;
 
+      case 'template-by':
+        this.#templateBy = newval;
+        this.#refreshView();
+        break;
+
       case 'templates':
         try {
-          const list = JSON.parse(newval);
-          this.#templates = list;
+          const rules = JSON.parse(newval);
+          if (rules !== null && (typeof rules !== 'object' || Array.isArray(rules))) {
+            console.error('a-repeat: "templates" must be an object like {"field": "type", "map": {...}, "default": "#id"}', this);
+            break;
+          }
+          this.#templates = rules;
+          if (this.#isConnected) this.#loadRuleTemplates().then(() => this.#refreshView());
         } catch (error) {
           console.error('a-repeat: Invalid JSON in "templates" attribute', this, error);
         }
         break;
+
+      case 'virtual':
+        this.#virtual = newval !== null;
+        if (this.#isConnected && this.#targetElem) this.#remount();
+        break;
     }
   }
 
@@ -173,6 +355,9 @@ export default class ARepeat extends HTMLElement {
       this.#targetElem = this;
     }
 
+    if (this.#virtual) this.#listenForScroll();
+    if (this.#state) this.#showState(this.#state, this.#stateData);
+
     // Attempt to sync if model/prop are already present
     if (this.#model && this.#prop) {
       this.#subscribe();
@@ -188,6 +373,8 @@ export default class ARepeat extends HTMLElement {
   disconnectedCallback() {
     this.#isConnected = false;
     this.#cleanup();
+    this.#stopListening();
+    this.#cancelChunks();
     this.#targetElem = null;
     this.log?.('disconnectedCallback()', this.#logProps());
   }
@@ -195,47 +382,104 @@ export default class ARepeat extends HTMLElement {
   // --- Private ---
 
   /**
-   * Applies data to a cloned template instance using pre-compiled bindings.
-   * Handles text nodes, attributes, nested repeats, and nested template recursion.
+   * Plays the enter transition of a new row.
+   * `{name}-enter-from` is swapped for `{name}-enter-to` on the next frame;
+   * `{name}-enter-active` stays until the transition ends.
    *
    * @private
-   * @param {DocumentFragment|Element} root - The root of the cloned template.
-   * @param {Array<object>} bindings - The compilation instructions.
-   * @param {any} item - The current data item.
-   * @param {number} index - The index of the item in the list.
+   * @param {object} instance - The inserted instance.
    */
-  #applyBindings(root, bindings, item, index) {
-    for (const binding of bindings) {
-      const node = this.#getNode(root, binding.path);
-      if (!node) continue;
-
-      switch (binding.type) {
-        case 'text':
-          node.nodeValue = this.#resolveBinding(binding.parts, item, index);
-          break;
-        case 'attr':
-          const val = this.#resolveBinding(binding.parts, item, index);
-          // Block event handlers
-          if (binding.name.startsWith('on')) {
-            console.warn(`a-repeat: Blocked interpolation into event handler "${binding.name}"`, this);
-            node.removeAttribute(binding.name);
-          } else {
-            node.setAttribute(binding.name, val);
-          }
-          break;
-        case 'nest-repeat':
-          // Pass context to nested repeats
-          if (!node.hasAttribute('model')) node.model = item;
-          if (!node.hasAttribute('scope') && this.scope) node.scope = this.#scope;
-          break;
-        case 'template-content':
-          // Recurse for <template> tags inside the template
-          this.#applyBindings(node.content, binding.bindings, item, index);
-          break;
-      }
+  #animateEnter(instance) {
+    const name = this.#animate;
+    for (const element of this.#elementsOf(instance)) {
+      element.classList.add(`${name}-enter-from`, `${name}-enter-active`);
+      this.#nextFrame(() => {
+        element.classList.remove(`${name}-enter-from`);
+        element.classList.add(`${name}-enter-to`);
+        this.#whenTransitionEnds(element).then(() => {
+          element.classList.remove(`${name}-enter-active`, `${name}-enter-to`);
+        });
+      });
     }
+  }
+
+  /**
+   * Plays the leave transition of a removed row, then removes its nodes.
+   *
+   * @private
+   * @param {object} instance - The removed instance.
+   */
+  #animateLeave(instance) {
+    const name = this.#animate;
+    const elements = this.#elementsOf(instance);
+
+    const done = elements.map(element => new Promise(resolve => {
+      element.classList.add(`${name}-leave-from`, `${name}-leave-active`);
+      this.#nextFrame(() => {
+        element.classList.remove(`${name}-leave-from`);
+        element.classList.add(`${name}-leave-to`);
+        this.#whenTransitionEnds(element).then(resolve);
+      });
+    }));
+
+    Promise.all(done).then(() => {
+      for (const node of instance.nodes) node.remove();
+    });
+  }
+
+  /**
+   * Animates rows from their previous position to their new one (FLIP).
+   *
+   * @private
+   * @param {Map<Element, DOMRect>} positions - Positions recorded before the render.
+   */
+  #animateMoves(positions) {
+    const name = this.#animate;
+    for (const [element, first] of positions) {
+      if (!element.isConnected) continue;
+      const last = element.getBoundingClientRect();
+      const dx = first.left - last.left;
+      const dy = first.top - last.top;
+      if (!dx && !dy) continue;
+
+      element.classList.add(`${name}-move`);
+      const animation = element.animate(
+        [{ transform: `translate(${dx}px, ${dy}px)` }, { transform: 'none' }],
+        ARepeat.moveAnimation
+      );
+      animation.finished
+        .catch(() => {})
+        .then(() => element.classList.remove(`${name}-move`));
+    }
+  }
 
-    this.log?.('#applyBindings()', this.#logProps({root, bindings, item, index}));
+  /**
+   * Builds the view of the list that is rendered: filtered, then sorted, then paged.
+   * Returns `data` itself if none of these apply.
+   *
+   * @private
+   * @param {Array} data - The full list.
+   * @returns {Array} The view.
+   */
+  #applyView(data) {
+    let view = data;
+
+    const term = this.#filterValue ? this.#readPath(this.#filterValue) : undefined;
+    if (term !== undefined && term !== null && term !== '') view = this.#filterItems(view, term);
+    if (this.#sort) view = this.#sortItems(view === data ? [...view] : view);
+
+    this.#viewCount = view.length;
+    this.#viewOffset = 0;
+
+    if (this.#pageSize > 0) {
+      const pages = Math.max(Math.ceil(view.length / this.#pageSize), 1);
+      const page = Math.min(Math.max(Math.trunc(this.#currentPage()) || 1, 1), pages);
+      this.#viewOffset = (page - 1) * this.#pageSize;
+      view = view.slice(this.#viewOffset, this.#viewOffset + this.#pageSize);
+    }
+
+    this.#view = view;
+    return view;
   }
 
   /**
@@ -254,6 +498,15 @@ export default class ARepeat extends HTMLElement {
     }
   }
 
+  /**
+   * Cancels chunked rendering. Rows not rendered yet stay placeholders until the next render.
+   * @private
+   */
+  #cancelChunks() {
+    scheduler.cancel(this.#chunkTask);
+    this.#chunkCursor = 0;
+  }
+
   /**
    * Unsubscribes from the event bus.
    * @private
@@ -263,6 +516,8 @@ export default class ARepeat extends HTMLElement {
       this.#unsubscribe();
       this.#unsubscribe = null;
     }
+    for (const unsubscribe of this.#viewUnsubscribes) unsubscribe();
+    this.#viewUnsubscribes = [];
     this.log?.('#cleanup()', this.#logProps());
   }
 
@@ -275,132 +530,221 @@ export default class ARepeat extends HTMLElement {
    * @returns {Array<object>} A list of binding instructions.
    */
   #compile(fragment) {
-    const bindings = [];
-
-    const crawl = (node, path) => {
-      // Text Nodes
-      if (node.nodeType === Node.TEXT_NODE) {
-        const parts = this.#parseTemplateString(node.nodeValue);
-        if (parts) {
-          bindings.push({ type: 'text', path: [...path], parts });
-        }
-        // this.log?.('#compile()', this.#logProps({fragment});
-        return;
-      }
+    const bindings = Template.compile(fragment);
+    this.log?.('#compile()', this.#logProps({fragment}));
+    return bindings;
+  }
 
-      // Elements
-      if (node.nodeType === Node.ELEMENT_NODE) {
-        // Attributes
-        if (node.hasAttributes()) {
-          for (const attr of node.attributes) {
-            const parts = this.#parseTemplateString(attr.value);
-            if (parts) {
-              bindings.push({ type: 'attr', path: [...path], name: attr.name, parts });
-            }
-          }
-        }
+  /**
+   * Creates the <a-repeat> that renders an item's children (see 'children') with this element's
+   * templates and options. It is placed in the row's element marked with a `children` attribute,
+   * or after the row's nodes.
+   *
+   * @private
+   * @param {DocumentFragment} fragment - The row's cloned template.
+   * @returns {ARepeat} The nested repeat.
+   */
+  #createChildren(fragment) {
+    const nested = document.createElement('a-repeat');
+    nested.#parentRepeat = this;
+    nested.#depth = this.#depth + 1;
+    for (const attr of ARepeat.#inherited) {
+      if (this.hasAttribute(attr)) nested.setAttribute(attr, this.getAttribute(attr));
+    }
+    nested.setAttribute('prop', this.#children);
 
-        // Nested Repeats: Stop recursion here.
-        // The nested repeat will handle its own templates when it upgrades.
-        if (node.localName === 'a-repeat') {
-          bindings.push({ type: 'nest-repeat', path: [...path] });
-          // this.log?.('#compile()', this.#logProps({fragment});
-          return;
-        }
+    const container = fragment.querySelector('[children]:not(a-repeat)');
+    (container ?? fragment).append(nested);
+    return nested;
+  }
 
-        // Nested Templates
-        if (node.localName === 'template') {
-          const contentBindings = this.#compile(node.content);
-          if (contentBindings.length > 0) {
-            bindings.push({
-              type: 'template-content',
-              path: [...path],
-              bindings: contentBindings
-            });
-          }
-          // this.log?.('#compile()', this.#logProps({fragment});
-          return;
-        }
+  /**
+   * Clones the template for an item and binds it.
+   *
+   * @private
+   * @param {object} def - The template definition ({ content, bindings }).
+   * @param {any} item - The data item.
+   * @param {number} index - The index of the item in the list.
+   * @param {string|null} key - The item's key (keyed rendering).
+   * @returns {object} The instance ({ def, key, nodes, slots, item, index, scope }).
+   */
+  #createInstance(def, item, index, key) {
+    const clone = def.content.cloneNode(true);
+    const slots = Template.bind(clone, def.bindings);
+    const nested = this.#children ? this.#createChildren(clone) : null;
+    const instance = {
+      def,
+      key,
+      nested,
+      nodes: Array.from(clone.childNodes),
+      slots
+    };
+    this.#patch(instance, item, index);
+    return instance;
+  }
 
-        // Recursion
-        const children = node.childNodes;
-        for (let i = 0; i < children.length; i++) {
-          crawl(children[i], [...path, i]);
-        }
+  /**
+   * Creates an invisible element that stands in for the rows outside the virtual window.
+   * Uses a tag that is valid inside the target (a <tr> in tables, an <li> in lists).
+   *
+   * @private
+   * @returns {HTMLElement}
+   */
+  #createSpacer() {
+    const parent = this.#targetElem.localName;
+    let tag = 'div';
+    if (['table', 'thead', 'tbody', 'tfoot'].includes(parent)) tag = 'tr';
+    else if (['ul', 'ol'].includes(parent)) tag = 'li';
+
+    const spacer = document.createElement(tag);
+    spacer.setAttribute('aria-hidden', 'true');
+    spacer.style.cssText = 'height:0;margin:0;padding:0;border:0;list-style:none;visibility:hidden';
+    return spacer;
+  }
+
+  /**
+   * Returns the requested page number: the 'page' attribute if it is a number,
+   * otherwise the value at the model path it names.
+   *
+   * @private
+   * @returns {number}
+   */
+  #currentPage() {
+    if (!this.#page) return 1;
+    const literal = Number(this.#page);
+    return Number.isNaN(literal) ? Number(this.#readPath(this.#page)) : literal;
+  }
+
+  /**
+   * Dispatches an 'arepeat:item-*' event for a row.
+   *
+   * @private
+   * @param {string} type - 'added', 'removed' or 'moved'.
+   * @param {object} instance - The row's instance.
+   * @param {object} [extra] - Additional detail (e.g. `from` for moves).
+   */
+  #dispatchItem(type, instance, extra = {}) {
+    const nodes = instance.nodes;
+    this.dispatchEvent(new CustomEvent(`arepeat:item-${type}`, {
+      bubbles: true,
+      composed: true,
+      detail: {
+        item: instance.item,
+        index: instance.index,
+        key: instance.key,
+        node: this.#elementsOf(instance)[0] ?? nodes[0] ?? null,
+        nodes: [...nodes],
+        ...extra
       }
-    };
+    }));
+  }
 
-    const children = fragment.childNodes;
-    for (let i = 0; i < children.length; i++) {
-      crawl(children[i], [i]);
-    }
+  /**
+   * Dispatches 'arepeat:progress' with the number of rows rendered so far.
+   * @private
+   */
+  #dispatchProgress() {
+    const total = this.#instances.length;
+    this.dispatchEvent(new CustomEvent('arepeat:progress', {
+      bubbles: true,
+      composed: true,
+      detail: { rendered: total - this.#pendingCount, total }
+    }));
+  }
 
-    this.log?.('#compile()', this.#logProps({fragment}));
-    return bindings;
+  /**
+   * Returns the element nodes of an instance.
+   *
+   * @private
+   * @param {object} instance - The instance.
+   * @returns {Element[]}
+   */
+  #elementsOf(instance) {
+    return instance.nodes.filter(node => node.nodeType === Node.ELEMENT_NODE);
   }
 
   /**
-   * Evaluates a single token path against the item or scope.
-   * Includes security checks for unsafe URL protocols.
+   * Keeps the items that match a filter term.
+   * Strings match case-insensitively anywhere in the 'filter-prop' values (or, without
+   * 'filter-prop', in the item or its own property values); other terms must be equal.
    *
    * @private
-   * @param {string} path - The property path (e.g. "user.name" or "index").
-   * @param {any} item - The current list item.
-   * @param {number} index - The current index.
-   * @returns {string|any} The resolved value.
+   * @param {Array} list - The items.
+   * @param {any} term - The filter term.
+   * @returns {Array} The matching items.
    */
-  #evaluateToken(path, item, index) {
-    if (path === 'index') return index;
-    if (path === 'this' || path === 'item') {
-      return (typeof item === 'object') ? '' : item;
-    }
+  #filterItems(list, term) {
+    const props = this.#filterProp ?
+      this.#filterProp.split(',').map(prop => prop.trim()).filter(Boolean) :
+      null;
+    const needle = (typeof term === 'string') ? term.toLocaleLowerCase() : null;
+
+    return list.filter(item => {
+      const values = props ?
+        props.map(prop => this.#valueAt(item, prop)) :
+        ((typeof item === 'object' && item !== null) ? Object.values(item) : [item]);
+
+      return values.some(value => {
+        if (needle === null) return value === term;
+        if (value === null || value === undefined || typeof value === 'object') return false;
+        return String(value).toLocaleLowerCase().includes(needle);
+      });
+    });
+  }
 
-    let val = PathResolver.getValue(item, path);
+  /**
+   * Completes a render: dispatches 'arepeat:render' and resolves the `rendered` promise.
+   * @private
+   */
+  #finishRender() {
+    this.dispatchEvent(new CustomEvent('arepeat:render', {
+      bubbles: true,
+      composed: true,
+      detail: { items: this.#view, count: this.#instances.length }
+    }));
+    this.#resolveRendered?.();
+    this.#resolveRendered = null;
+  }
 
-    if (val === undefined && this.#scope) {
-      val = PathResolver.getValue(this.#scope, path);
-    }
+  /**
+   * Returns the offset (px) of every row from the top of the list, plus the total height
+   * at the end. Measured heights are used where known, estimates elsewhere.
+   *
+   * @private
+   * @returns {Float64Array} `view.length + 1` offsets.
+   */
+  #getOffsets() {
+    if (this.#offsets) return this.#offsets;
 
-    // Security Whitelist for URLs
-    if (typeof val === 'string') {
-      const trimmed = val.trim();
-      if (PROTOCOL_REGEX.test(trimmed)) {
-        try {
-          const url = new URL(trimmed);
-          if (!ALLOWED_PROTOCOLS.has(url.protocol)) {
-            console.warn(`a-repeat: blocked unsafe URI protocol "${url.protocol}"`, this);
-            return '';
-          }
-        } catch (e) {
-          // Not absolute URL, pass through
-        }
-      }
+    const data = this.#view;
+    const offsets = new Float64Array(data.length + 1);
+    let estimate = this.#itemHeight;
+
+    if (!estimate) {
+      let total = 0;
+      for (const height of this.#heights.values()) total += height;
+      estimate = this.#heights.size ? total / this.#heights.size : ARepeat.estimatedItemHeight;
     }
 
-    // this.log?.('#evaluateToken()', this.#logProps({path, item, index});
-    if (val === undefined || val === null || typeof val === 'object') {
-      return '';
-    } else {
-      return val;
+    for (let i = 0; i < data.length; i++) {
+      const measured = this.#itemHeight ? undefined : this.#heights.get(this.#heightKey(data[i], i));
+      offsets[i + 1] = offsets[i] + (measured ?? estimate);
     }
+
+    this.#offsets = offsets;
+    return offsets;
   }
 
   /**
-   * Helper to traverse the DOM using a path array (child indices).
+   * Returns the key a row's measured height is stored under: its item key in keyed mode, else its index.
    *
    * @private
-   * @param {Node} root - The starting node.
-   * @param {Array<number>} path - Array of childNode indices.
-   * @returns {Node|null}
+   * @param {any} item - The data item.
+   * @param {number} index - The index of the item.
+   * @returns {string|number}
    */
-  #getNode(root, path) {
-    let node = root;
-    for (const i of path) {
-      if (!node.childNodes || !node.childNodes[i]) return null;
-      node = node.childNodes[i];
-    }
-    // this.log?.('#getNode()', this.#logProps({root, path});
-    return node;
+  #heightKey(item, index) {
+    return (this.#keyBy && this.#keyOf(item)) ?? index;
   }
 
   /**
@@ -409,13 +753,20 @@ export default class ARepeat extends HTMLElement {
    * 1. Internal <template> children.
    * 2. External templates via 'template' attribute.
    * 3. Implicit templates (the element's own initial children).
-   * Also validates compatibility with keyed rendering.
    *
    * @private
    */
   async #initTemplates() {
+    // a level of a tree uses the templates of the top level
+    if (this.#parentRepeat) {
+      this.#templateMap = this.#parentRepeat.#templateMap;
+      this.#defaultTemplate = this.#parentRepeat.#defaultTemplate;
+      return;
+    }
+
     this.#templateMap.clear();
     this.#defaultTemplate = null;
+    this.#stateTemplates = {};
 
     // Internal Templates
     const internalTemplates = Array.from(this.children).filter(el => el.localName === 'template');
@@ -438,6 +789,9 @@ export default class ARepeat extends HTMLElement {
         const range = document.createRange();
         range.selectNodeContents(this);
         const content = range.cloneContents();
+        for (const child of Array.from(content.children)) {
+          if (child.localName === 'template' && this.#stateOf(child)) child.remove();
+        }
         const bindings = this.#compile(content);
 
         // save content and bindings so they'll persist across disconnect/reconnect
@@ -447,40 +801,126 @@ export default class ARepeat extends HTMLElement {
       }
     }
 
-    // Validate Compatibility with Keyed Rendering
-    if (this.#key) {
-      let valid = true;
-      let invalidName = '';
+    // Templates named by the 'templates' rules that are outside the element
+    this.#loadRuleTemplates().then(loaded => {
+      if (loaded) this.#refreshView();
+    });
 
-      // Check Default Template
-      if (this.#defaultTemplate && this.#defaultTemplate.content.children.length !== 1) {
-        valid = false;
-        invalidName = 'Default Template';
-      }
+    // this.log?.('#initTemplates()', this.#logProps());
+  }
 
-      // Check Named Templates
-      if (valid) {
-        for (const [id, def] of this.#templateMap) {
-          if (def.content.children.length !== 1) {
-            valid = false;
-            invalidName = `Template "#${id}"`;
-            break;
-          }
-        }
-      }
+  /**
+   * Checks if changes should be animated: the `animate` attribute is set, the list has
+   * rendered before (rows of the first render are not animated), and the user has not
+   * asked for reduced motion. Virtual lists are not animated.
+   *
+   * @private
+   * @returns {boolean}
+   */
+  #isAnimated() {
+    if (!this.#animate || !this.#appeared || this.#virtual) return false;
+    return !globalThis.matchMedia?.('(prefers-reduced-motion: reduce)').matches;
+  }
+
+  /**
+   * Checks if a list source is a dictionary (a Map or a plain object), whose entries are rendered.
+   *
+   * @private
+   * @param {any} value - The source.
+   * @returns {boolean}
+   */
+  #isDictionary(value) {
+    const raw = Reactive.toRaw(value);
+    if (raw instanceof Map) return true;
+    if (typeof raw !== 'object' || raw === null || Array.isArray(raw)) return false;
+    return typeof raw[Symbol.iterator] !== 'function';
+  }
 
-      // Fallback if invalid
-      if (!valid) {
-        console.warn(
-          `a-repeat: Keyed rendering disabled. ${invalidName} has ${this.#defaultTemplate?.content.children.length || 'multiple'} root elements (must be exactly 1 Element). Falling back to index-based rendering.`,
-          this
-        );
-        this.#key = null;
-        this.removeAttribute('key');
+  /**
+   * Returns the key of an item for keyed rendering, or null if it has none.
+   *
+   * @private
+   * @param {any} item - The data item.
+   * @returns {string|null}
+   */
+  #keyOf(item) {
+    const value = PathResolver.getValue(item, this.#keyBy);
+    return (value !== undefined && value !== null) ? String(value) : null;
+  }
+
+  /**
+   * Returns the loop variables of a row.
+   *
+   * @private
+   * @param {any} item - The item.
+   * @param {number} index - The index of the item.
+   * @param {number} count - The number of items in the view.
+   * @returns {object}
+   */
+  #loopVars(item, index, count) {
+    const vars = {
+      item,
+      index,
+      $first: index === 0,
+      $last: index === count - 1,
+      $even: index % 2 === 0,
+      $odd: index % 2 === 1,
+      $count: count,
+      $depth: this.#depth,
+      $parent: Template.isFrame(this.#scope) ? this.#scope.vars : undefined
+    };
+    if (this.#as) vars[this.#as] = item;
+    if (this.#indexAs) vars[this.#indexAs] = index;
+    return vars;
+  }
+
+  /**
+   * Loads the templates named by the 'templates' rules that are not children of the element
+   * (e.g. `"#video-row"` elsewhere in the document).
+   *
+   * @private
+   * @returns {Promise<boolean>} True if any template was loaded.
+   */
+  async #loadRuleTemplates() {
+    const rules = this.#templates;
+    if (!rules) return false;
+
+    const refs = new Set([...Object.values(rules.map ?? {}), rules.default]);
+    let loaded = false;
+    for (const ref of refs) {
+      if (typeof ref !== 'string' || !ref.startsWith('#') || this.#templateMap.has(ref.slice(1))) continue;
+      try {
+        const tmpl = await loader.load(ref, this);
+        if (tmpl instanceof HTMLTemplateElement) {
+          this.#registerTemplate(tmpl);
+          loaded = true;
+        }
+      } catch (error) {
+        console.error(`a-repeat: Failed to load template: ${ref}`, this, error);
       }
     }
+    return loaded;
+  }
 
-    // this.log?.('#initTemplates()', this.#logProps());
+  /**
+   * Re-renders the virtual window when the scroll container scrolls or resizes.
+   * @private
+   */
+  #listenForScroll() {
+    this.#stopListening();
+    this.#virtualController = new AbortController();
+    this.#scroller = this.#scrollerOf(this.#targetElem);
+
+    const target = this.#scroller ?? globalThis;
+    target.addEventListener('scroll', () => this.#scheduleWindow(), {
+      passive: true,
+      signal: this.#virtualController.signal
+    });
+
+    if (typeof ResizeObserver !== 'undefined') {
+      this.#resizeObserver = new ResizeObserver(() => this.#scheduleWindow());
+      this.#resizeObserver.observe(this.#scroller ?? document.documentElement);
+    }
   }
 
   #logProps(method_args = {}) {
@@ -488,6 +928,7 @@ export default class ARepeat extends HTMLElement {
       method_args,
       data: this.#data,
       defaultTemplate: this.#defaultTemplate,
+      instances: this.#instances,
       isConnected: this.#isConnected,
       targetElem: this.#targetElem,
       templateMap: this.#templateMap,
@@ -498,240 +939,713 @@ export default class ARepeat extends HTMLElement {
   }
 
   /**
-   * Parses a string for `{{ token }}` patterns.
+   * Stores the rendered height of each instance (variable-height virtual mode).
    *
    * @private
-   * @param {string} str - The string to parse.
-   * @returns {Array<string|object>|null} Array of static strings and token objects, or null if no bindings found.
+   * @param {Array<object>} instances - The rendered instances.
+   * @returns {boolean} True if any height changed.
    */
-  #parseTemplateString(str) {
-    if (!str.includes('{{')) return null;
-
-    const parts = [];
-    let lastIndex = 0;
-    // Use local RegExp to avoid global state issues
-    const regex = new RegExp(TOKEN_REGEX);
-    let match;
-
-    while ((match = regex.exec(str)) !== null) {
-      if (match.index > lastIndex) {
-        parts.push(str.slice(lastIndex, match.index));
+  #measure(instances) {
+    let changed = false;
+    for (const instance of instances) {
+      const elements = instance.nodes.filter(node => node.nodeType === Node.ELEMENT_NODE);
+      if (elements.length === 0) continue;
+
+      const height = elements.at(-1).getBoundingClientRect().bottom - elements[0].getBoundingClientRect().top;
+      const key = this.#heightKey(instance.item, instance.index - this.#viewOffset);
+      if (height > 0 && this.#heights.get(key) !== height) {
+        this.#heights.set(key, height);
+        changed = true;
       }
-      parts.push({ token: match[1] });
-      lastIndex = regex.lastIndex;
     }
-
-    if (lastIndex < str.length) {
-      parts.push(str.slice(lastIndex));
-    }
-    this.log?.('#parseTemplateString()', this.#logProps({str}));
-    return parts.length > 0 ? parts : null;
+    return changed;
   }
 
   /**
-   * Compiles and stores a template definition in the internal map.
+   * Runs a callback after the next frame has been styled, so classes added before it take effect.
    *
    * @private
-   * @param {HTMLTemplateElement} tmpl - The template element.
+   * @param {Function} callback - The callback.
    */
-  #registerTemplate(tmpl) {
-    if (!(tmpl instanceof HTMLTemplateElement)) return;
-    const content = tmpl.content;
-    const bindings = this.#compile(content);
-    const def = { content, bindings };
+  #nextFrame(callback) {
+    requestAnimationFrame(() => requestAnimationFrame(callback));
+  }
 
-    const template = tmpl.id;
-    if (template) {
-      this.#templateMap.set(template, def);
-    } else if (!this.#defaultTemplate) {
-      this.#defaultTemplate = def;
+  /**
+   * Writes an item into an instance's bound nodes, so a changed item is patched in place
+   * instead of being re-cloned (keeping focus, input state and nested elements).
+   * Always re-evaluates the tokens, since the item may have been mutated in place;
+   * `Template.update()` only writes the text and attributes that changed.
+   *
+   * @private
+   * @param {object} instance - The instance.
+   * @param {any} item - The data item.
+   * @param {number} index - The index of the item in the list.
+   */
+  #patch(instance, item, index) {
+    const count = this.#viewCount;
+    instance.item = item;
+    instance.index = index;
+    // the frame is kept, so nested repeats see the same scope and only refresh their rows
+    instance.frame ??= Template.frame({}, this.#scope);
+    instance.frame.vars = this.#loopVars(item, index, count);
+    instance.frame.scope = this.#scope;
+    if (instance.nested) {
+      instance.nested.model = (typeof item === 'object' && item !== null) ? item : undefined;
+      instance.nested.scope = instance.frame;
     }
-
-    this.log?.('#registerTemplate()', this.#logProps({tmpl}));
+    Template.update(instance.slots, item, index, instance.frame, this);
+    this.log?.('#patch()', this.#logProps({instance, item, index}));
   }
 
   /**
-   * The core rendering loop.
-   * Handles:
-   * 1. Target resolution (where to render).
-   * 2. Keyed rendering (moving/reusing nodes based on a unique ID).
-   * 3. Index-based rendering (reusing nodes based on position).
-   * 4. Full re-rendering (fallback).
+   * Gives a keyed instance's root element and its <a-bind>/<a-repeat> children
+   * the new object when an item with the same key is replaced by another object.
    *
    * @private
-   * @param {Array} data - The list of data to render.
+   * @param {object} instance - The instance.
+   * @param {any} item - The new data item.
    */
-  #render(data) {
-    // Validation
-    if (!Array.isArray(data)) {
-      if (data === null || data === undefined) {
-        data = [];
-      } else {
-        console.warn('a-repeat: Data is not an array', data, this);
-        return;
+  #provideItem(instance, item) {
+    for (const node of instance.nodes) {
+      if (node.nodeType !== Node.ELEMENT_NODE) continue;
+      node.model = item;
+      for (const child of node.querySelectorAll('a-bind, a-repeat')) {
+        // avoid crossing into nested repeat scopes
+        if (!child.closest('a-repeat') || child.closest('a-repeat') === this) {
+          child.model = item;
+        }
       }
     }
+  }
 
-    if (!this.#targetElem) {
-      this.#data = data;
-      return;
-    }
-
-    const parent = this.#targetElem;
-    const oldData = this.#data;
-    this.#data = data;
+  /**
+   * Reads a path from the model, falling back to the scope object.
+   *
+   * @private
+   * @param {string} path - The path.
+   * @returns {any}
+   */
+  #readPath(path) {
+    const scope = Template.scopeOf(this.#scope);
+    let value = this.#model ? PathResolver.getValue(this.#model, path) : undefined;
+    if (value === undefined && scope) value = PathResolver.getValue(scope, path);
+    return value;
+  }
 
-    // Helper: Create DOM content for a single item
-    const createNode = (item, index) => {
-      let templateId = item.template;
-      if (typeof templateId === 'string' && templateId.startsWith('#')) {
-        templateId = templateId.slice(1);
+  /**
+   * Records the position of every element of the given instances (before a keyed reorder).
+   *
+   * @private
+   * @param {Array<object>} instances - The instances.
+   * @returns {Map<Element, DOMRect>}
+   */
+  #recordPositions(instances) {
+    const positions = new Map();
+    for (const instance of instances) {
+      for (const element of this.#elementsOf(instance)) {
+        if (element.isConnected) positions.set(element, element.getBoundingClientRect());
       }
-      const selectedTemplate = this.#templateMap.get(templateId) || this.#defaultTemplate;
+    }
+    return positions;
+  }
 
-      if (selectedTemplate) {
-        const clone = selectedTemplate.content.cloneNode(true);
-        this.#applyBindings(clone, selectedTemplate.bindings, item, index);
-        return clone;
+  /**
+   * Writes every rendered row again, after its loop variables change.
+   * @private
+   */
+  #refreshRows() {
+    for (const instance of this.#instances) {
+      if (!instance.pending) this.#patch(instance, instance.item, instance.index);
+    }
+  }
+
+  /**
+   * Renders the list again after a view attribute changes.
+   * @private
+   */
+  #refreshView() {
+    if (this.#isConnected && this.#targetElem) this.#render(this.#data);
+  }
+
+  /**
+   * Compiles and stores a template definition in the internal map.
+   *
+   * @private
+   * @param {HTMLTemplateElement} tmpl - The template element.
+   */
+  #registerTemplate(tmpl) {
+    if (!(tmpl instanceof HTMLTemplateElement)) return;
+    const content = tmpl.content;
+    const bindings = this.#compile(content);
+    const def = { content, bindings };
+
+    const state = this.#stateOf(tmpl);
+    const template = tmpl.id;
+    if (state) {
+      this.#stateTemplates[state] ??= def;
+    } else if (template) {
+      this.#templateMap.set(template, def);
+    } else if (!this.#defaultTemplate) {
+      this.#defaultTemplate = def;
+    }
+
+    this.log?.('#registerTemplate()', this.#logProps({tmpl}));
+  }
+
+  /**
+   * Removes an instance's nodes, after its leave transition if `animated`,
+   * and dispatches 'arepeat:item-removed'.
+   *
+   * @private
+   * @param {object} instance - The instance.
+   * @param {boolean} [animated=false] - Play the leave transition first.
+   */
+  #removeInstance(instance, animated = false) {
+    if (instance.pending) return;
+    this.#dispatchItem('removed', instance);
+    if (animated) {
+      this.#animateLeave(instance);
+    } else {
+      for (const node of instance.nodes) node.remove();
+    }
+  }
+
+  /**
+   * Removes every rendered row and renders the list again.
+   * Used when switching between full and virtual rendering, and when 'children' changes.
+   *
+   * @private
+   */
+  #remount() {
+    for (const instance of this.#instances) this.#removeInstance(instance);
+    for (const spacer of this.#spacers ?? []) spacer.remove();
+
+    this.#instances = [];
+    this.#pendingCount = 0;
+    this.#spacers = null;
+    this.#heights.clear();
+    this.#offsets = null;
+
+    if (this.#virtual) this.#listenForScroll();
+    else this.#stopListening();
+    this.#render(this.#data);
+  }
+
+  /**
+   * The core rendering loop.
+   * Reconciles the rendered instances with the data:
+   * 1. Keyed rendering reuses the instance with the same key, wherever it moved.
+   * 2. Index-based rendering reuses the instance at the same position.
+   * Reused instances are patched in place; new items get new instances, and the
+   * instances of removed items are removed. Nodes are only moved if out of order.
+   *
+   * @private
+   * @param {Array} data - The list of data to render.
+   */
+  #render(data) {
+    // Validation
+    const list = this.#toList(data);
+    if (!list) {
+      console.warn('a-repeat: Data is not iterable', data, this);
+      return;
+    }
+    this.#keyBy = this.#key || (this.#isDictionary(data) ? 'key' : null);
+    data = list;
+
+    if (!this.#targetElem) {
+      this.#data = data;
+      return;
+    }
+
+    this.#data = data;
+    this.#cancelChunks();
+    this.#startRender();
+    const view = this.#applyView(data);
+    this.#showState(view.length ? null : 'empty');
+
+    if (this.#virtual) {
+      this.#offsets = null;
+      this.#renderWindow();
+      return;
+    }
+
+    const parent = this.#targetElem;
+    const previous = this.#instances;
+    const byKey = new Map();
+    const reused = new Set();
+    const budget = this.#chunk || Infinity;
+    const animated = this.#isAnimated();
+    const entering = [];
+    const added = [];
+    const moved = [];
+    let created = 0;
+    let pending = 0;
+
+    if (this.#keyBy) {
+      for (const instance of previous) {
+        if (instance.key !== null && !instance.pending && !byKey.has(instance.key)) byKey.set(instance.key, instance);
       }
+    }
 
-      return null;
-    };
+    const positions = (animated && this.#keyBy) ? this.#recordPositions(previous) : null;
+    const instances = [];
+    view.forEach((item, position) => {
+      const def = this.#selectTemplate(item);
+      if (!def) return;
+
+      const index = this.#viewOffset + position;
+      const key = this.#keyBy ? this.#keyOf(item) : null;
+      let instance = this.#keyBy ? (key !== null ? byKey.get(key) : undefined) : previous[position];
+      if (instance && (instance.pending || reused.has(instance) || instance.def.content !== def.content)) instance = undefined;
+
+      if (instance) {
+        reused.add(instance);
+        if (this.#keyBy && instance.item !== item) this.#provideItem(instance, item);
+        if (instance.index !== index) moved.push([instance, instance.index]);
+        this.#patch(instance, item, index);
+      } else if (created < budget) {
+        created++;
+        instance = this.#createInstance(def, item, index, key);
+        added.push(instance);
+        if (animated) entering.push(instance);
+      } else {
+        // Placeholder, created by #renderChunk() in a later frame
+        pending++;
+        instance = { def, item, index, key, nodes: [], pending: true };
+      }
+      instances.push(instance);
+    });
 
-    // If the template is compatable with key-based rendering
-    if (this.#key) {
-      const keyMap = new Map();
-      const children = Array.from(parent.children);
+    // Remove the instances of items that are gone
+    for (const instance of previous) {
+      if (!reused.has(instance)) this.#removeInstance(instance, animated);
+    }
 
-      // Snapshot existing DOM nodes by Key
-      children.forEach(child => {
-        if (child.__arepeat_key !== undefined) {
-          keyMap.set(child.__arepeat_key, child);
+    // Place nodes in order, walking backwards so nodes already in place are not touched
+    let before = null;
+    for (let i = instances.length - 1; i >= 0; i--) {
+      const nodes = instances[i].nodes;
+      for (let j = nodes.length - 1; j >= 0; j--) {
+        const node = nodes[j];
+        if (node.parentNode !== parent || node.nextSibling !== before) {
+          parent.insertBefore(node, before);
         }
-      });
+        before = node;
+      }
+    }
 
-      // Iterate new data: Move, Update, or Create
-      data.forEach((item, index) => {
-        const itemVal = PathResolver.getValue(item, this.#key);
-        const itemKey = (itemVal !== undefined && itemVal !== null) ? String(itemVal) : null;
+    if (positions) this.#animateMoves(positions);
+    for (const instance of entering) this.#animateEnter(instance);
 
-        if (itemKey === null) {
-          // Fallback if key missing in data
-          const frag = createNode(item, index);
-          if (frag) parent.insertBefore(frag, parent.children[index] || null);
-          this.log?.('#render()', this.#logProps({data}));
-          return;
-        }
+    this.#instances = instances;
+    this.#appeared = true;
+    this.#pendingCount = pending;
 
-        let node = keyMap.get(itemKey);
+    for (const instance of added) this.#dispatchItem('added', instance);
+    for (const [instance, from] of moved) this.#dispatchItem('moved', instance, { from });
 
-        if (node) {
-          // reuse if element exists
-          keyMap.delete(itemKey); // Mark as used
+    if (pending) {
+      this.#dispatchProgress();
+      scheduler.defer(this.#chunkTask, null, () => this.#renderChunk());
+    } else {
+      this.#finishRender();
+    }
+    this.log?.('#render()', this.#logProps({data}));
+  }
 
-          // Move if position is different
-          if (parent.children[index] !== node) {
-            parent.insertBefore(node, parent.children[index] || null);
-          }
+  /**
+   * Creates the next `chunk` placeholder instances and inserts their nodes,
+   * then schedules the next chunk until every row is rendered.
+   *
+   * @private
+   */
+  #renderChunk() {
+    const parent = this.#targetElem;
+    if (!parent || this.#pendingCount === 0) return;
+
+    const instances = this.#instances;
+    const start = this.#chunkCursor;
+    const created = [];
+    let stop = start;
+
+    for (; stop < instances.length && created.length < this.#chunk; stop++) {
+      const placeholder = instances[stop];
+      if (!placeholder.pending) continue;
+      instances[stop] = this.#createInstance(placeholder.def, placeholder.item, placeholder.index, placeholder.key);
+      created.push(instances[stop]);
+    }
 
-          // Update Context: If the object reference changed, update
-          // child bindings (a-bind/a-repeat) within this node.
-          if (node.model !== item) {
-            node.model = item;
-            const boundChildren = node.querySelectorAll('a-bind, a-repeat');
-            for (const child of boundChildren) {
-              // avoid crossing into nested repeat scopes
-              if (!child.closest('a-repeat') || child.closest('a-repeat') === this) {
-                child.model = item;
-              }
-            }
-          }
+    // Insert the new nodes, walking backwards from the first rendered row after this chunk
+    let before = null;
+    for (let i = stop; i < instances.length; i++) {
+      if (!instances[i].pending && instances[i].nodes.length) {
+        before = instances[i].nodes[0];
+        break;
+      }
+    }
+    for (let i = stop - 1; i >= start; i--) {
+      const nodes = instances[i].nodes;
+      if (nodes[0] && nodes[0].parentNode !== parent) {
+        for (const node of nodes) parent.insertBefore(node, before);
+      }
+      if (nodes.length) before = nodes[0];
+    }
+
+    this.#chunkCursor = stop;
+    this.#pendingCount -= created.length;
+    for (const instance of created) this.#dispatchItem('added', instance);
+    this.#dispatchProgress();
+
+    if (this.#pendingCount > 0) scheduler.defer(this.#chunkTask, null, () => this.#renderChunk());
+    else this.#finishRender();
+    this.log?.('#renderChunk()', this.#logProps({start, stop}));
+  }
+
+  /**
+   * Renders the rows inside the scroll viewport, plus `overscan` rows on either side.
+   * Rows that stay in the window keep their instance; rows that leave it are recycled
+   * for rows that enter it (if they use the same template). Spacers above and below
+   * the window keep the list's full scroll height.
+   *
+   * @private
+   */
+  #renderWindow() {
+    const parent = this.#targetElem;
+    if (!parent) return;
+
+    if (!this.#spacers) this.#spacers = [this.#createSpacer(), this.#createSpacer()];
+    const [topSpacer, bottomSpacer] = this.#spacers;
+    if (bottomSpacer.parentNode !== parent) parent.append(bottomSpacer);
+    if (topSpacer.parentNode !== parent) parent.insertBefore(topSpacer, bottomSpacer);
+
+    const data = this.#view;
+    const offsets = this.#getOffsets();
+    const { top, height } = this.#viewport();
+
+    // first row whose bottom edge is below y
+    const find = y => {
+      let low = 0;
+      let high = data.length;
+      while (low < high) {
+        const mid = (low + high) >> 1;
+        if (offsets[mid + 1] <= y) low = mid + 1;
+        else high = mid;
+      }
+      return low;
+    };
+
+    const first = Math.max(find(top) - this.#overscan, 0);
+    const last = Math.min(find(top + height) + 1 + this.#overscan, data.length);
+
+    // Keep the instances of rows that are still in the window
+    const previous = new Map(this.#instances.map(instance => [instance.id, instance]));
+    const rows = [];
+    for (let position = first; position < last; position++) {
+      const item = data[position];
+      const def = this.#selectTemplate(item);
+      if (!def) continue;
+
+      const index = this.#viewOffset + position;
+      const id = this.#heightKey(item, position);
+      let instance = previous.get(id);
+      if (instance && instance.def.content === def.content) previous.delete(id);
+      else instance = null;
+      rows.push({ item, index, def, id, instance });
+    }
+
+    // Recycle the rest for rows entering the window
+    const pool = Array.from(previous.values());
+    const instances = [];
+    const entered = [];
+    for (const row of rows) {
+      let instance = row.instance;
+      if (!instance) {
+        const recycled = pool.findIndex(candidate => candidate.def.content === row.def.content);
+        if (recycled >= 0) {
+          instance = pool.splice(recycled, 1)[0];
+          this.#dispatchItem('removed', instance);
         } else {
-          // create New Element
-          const frag = createNode(item, index);
-          if (frag) {
-            // tag the root element with the key to find it later.
-            // Note: This assumes the template produces a single root Element.
-            const element = frag.firstElementChild;
-            if (element) {
-              element.__arepeat_key = itemKey;
-              element.model = item; // Store model ref on DOM
-            }
-            parent.insertBefore(frag, parent.children[index] || null);
-          }
+          instance = this.#createInstance(row.def, row.item, row.index, null);
         }
-      });
+        entered.push(instance);
+      }
+      if (this.#keyBy && instance.item !== row.item) this.#provideItem(instance, row.item);
 
-      // Remove nodes whose keys are no longer in the data
-      keyMap.forEach(node => node.remove());
-      this.log?.('#render()', this.#logProps({data}));
-      return;
+      instance.id = row.id;
+      instance.key = this.#keyBy ? this.#keyOf(row.item) : null;
+      this.#patch(instance, row.item, row.index);
+      instances.push(instance);
+    }
+
+    for (const instance of pool) this.#removeInstance(instance);
+
+    // Place nodes in order between the spacers
+    let before = bottomSpacer;
+    for (let i = instances.length - 1; i >= 0; i--) {
+      const nodes = instances[i].nodes;
+      for (let j = nodes.length - 1; j >= 0; j--) {
+        const node = nodes[j];
+        if (node.parentNode !== parent || node.nextSibling !== before) {
+          parent.insertBefore(node, before);
+        }
+        before = node;
+      }
     }
 
-    // Fallback, index-based rendering
+    topSpacer.style.height = `${offsets[first]}px`;
+    bottomSpacer.style.height = `${offsets[data.length] - offsets[last]}px`;
+    this.#instances = instances;
+
+    for (const instance of entered) this.#dispatchItem('added', instance);
+    this.#finishRender();
 
-    // only optimize if the current child count matches the previous data length.
-    const canOptimize = parent.children.length === oldData.length;
+    // Measured heights change the offsets, so check the window again next frame
+    if (!this.#itemHeight && this.#measure(instances)) {
+      this.#offsets = null;
+      this.#scheduleWindow();
+    }
+
+    this.log?.('#renderWindow()', this.#logProps({first, last}));
+  }
 
-    if (canOptimize) {
-      const children = Array.from(parent.children);
+  /**
+   * Renders the virtual window on the next animation frame.
+   * @private
+   */
+  #scheduleWindow() {
+    scheduler.defer(this.#windowTask, null, () => {
+      if (this.#virtual) this.#renderWindow();
+    });
+  }
 
-      // Remove excess DOM nodes if the new list is shorter
-      while (children.length > data.length) {
-        children.pop().remove();
+  /**
+   * Finds the closest scrolling ancestor of an element (crossing shadow roots).
+   *
+   * @private
+   * @param {Element} elem - The element.
+   * @returns {Element|null} The scroll container, or null if the document scrolls.
+   */
+  #scrollerOf(elem) {
+    let node = elem;
+    while (node && node.nodeType === Node.ELEMENT_NODE) {
+      if (node !== document.body && node !== document.documentElement) {
+        const { overflowY } = getComputedStyle(node);
+        if (/(auto|scroll|overlay)/.test(overflowY)) return node;
       }
+      node = node.parentElement ?? node.getRootNode?.().host;
+    }
+    return null;
+  }
 
-      // Update existing items or Append new ones
-      data.forEach((item, index) => {
-        // If data reference is identical, skip
-        if (index < oldData.length && item === oldData[index]) {
-          this.log?.('#render()', this.#logProps({data}));
-          return;
+  /**
+   * Selects the template for an item: the one chosen by the 'templates' / 'template-by' rule,
+   * else the template whose id matches `item.template`, else the default template.
+   * Template ids may be written with or without a leading '#'.
+   *
+   * @private
+   * @param {any} item - The data item.
+   * @returns {object|null} The template definition ({ content, bindings }).
+   */
+  #selectTemplate(item) {
+    const id = ref => (ref === undefined || ref === null) ? undefined : String(ref).replace(/^#/, '');
+    const field = this.#templates?.field ?? this.#templateBy;
+
+    if (field) {
+      const { map, default: fallback } = this.#templates ?? {};
+      const value = PathResolver.getValue(item, field);
+      let ref = value;
+      if (map) ref = (value !== undefined && value !== null && Object.hasOwn(map, value)) ? map[value] : undefined;
+      const def = this.#templateMap.get(id(ref)) ?? this.#templateMap.get(id(fallback));
+      if (def) return def;
+    }
+
+    return this.#templateMap.get(id(item?.template)) || this.#defaultTemplate || null;
+  }
+
+  /**
+   * Stamps the template for a state ('empty', 'loading' or 'error') into the target,
+   * replacing the previous state's nodes. `null` removes them.
+   * If the state is already shown, its tokens are updated instead.
+   *
+   * @private
+   * @param {string|null} state - The state.
+   * @param {any} [data=this.#model] - The data the template's tokens resolve against.
+   */
+  #showState(state, data = this.#model) {
+    const same = state === this.#state;
+    this.#state = state;
+    this.#stateData = data;
+
+    if (same && this.#stateNodes.length) {
+      Template.update(this.#stateSlots, data, undefined, this.#scope, this);
+      return;
+    }
+
+    for (const node of this.#stateNodes) node.remove();
+    this.#stateNodes = [];
+    this.#stateSlots = [];
+
+    const def = state ? this.#stateTemplates[state] : null;
+    if (!def || !this.#targetElem) return;
+
+    const fragment = def.content.cloneNode(true);
+    this.#stateSlots = Template.bind(fragment, def.bindings);
+    Template.update(this.#stateSlots, data, undefined, this.#scope, this);
+    Template.provideModel(fragment, this.#model);
+    this.#stateNodes = Array.from(fragment.childNodes);
+    this.#targetElem.append(fragment);
+  }
+
+  /**
+   * Sorts items in place by the 'sort' attribute: comma-separated paths, each optionally
+   * prefixed with '-' for descending order (e.g. "lastName,-age"). `item` sorts by the item itself.
+   * Empty values sort last in either direction.
+   *
+   * @private
+   * @param {Array} list - The items (sorted in place).
+   * @returns {Array} The sorted items.
+   */
+  #sortItems(list) {
+    const specs = this.#sort.split(',')
+      .map(spec => spec.trim())
+      .filter(Boolean)
+      .map(spec => ({ path: spec.replace(/^[+-]/, ''), direction: spec.startsWith('-') ? -1 : 1 }));
+
+    const isEmpty = value => value === undefined || value === null || value === '';
+
+    return list.sort((a, b) => {
+      for (const { path, direction } of specs) {
+        const x = this.#valueAt(a, path);
+        const y = this.#valueAt(b, path);
+        if (isEmpty(x) || isEmpty(y)) {
+          if (isEmpty(x) && isEmpty(y)) continue;
+          return isEmpty(x) ? 1 : -1;
         }
 
-        const newNode = createNode(item, index);
-        if (newNode) {
-          if (index < children.length) {
-            // Replace changed item in place
-            children[index].replaceWith(newNode);
-          } else {
-            // Append new item
-            parent.append(newNode);
-          }
+        let result;
+        if (typeof x === 'string' || typeof y === 'string') {
+          result = ARepeat.#collator.compare(String(x), String(y));
+        } else {
+          result = (x > y) - (x < y);
         }
-      });
-    } else {
-      // Full Re-render for templates with multiple root nodes or length mismatch
-      const fragment = document.createDocumentFragment();
-      data.forEach((item, index) => {
-        const node = createNode(item, index);
-        if (node) fragment.append(node);
-      });
-      parent.replaceChildren(fragment);
-    }
-    this.log?.('#render()', this.#logProps({data}));
+        if (result) return result * direction;
+      }
+      return 0;
+    });
   }
 
   /**
-   * Resolves a list of string parts and tokens into a final string value.
+   * Applies a splice record (see `ABind.splice`) without diffing the list: removes the instances of the removed items, inserts instances
+   * for the added items, and patches the index of the instances after them.
+   * Falls back to a full render (which diffs the list) if the record does not match what is rendered,
+   * e.g. after a missed announcement.
    *
    * @private
-   * @param {Array} parts - Mixed array of strings and token objects.
-   * @param {any} item - Data context.
-   * @param {number} index - Loop index.
-   * @returns {string} The resolved string.
+   * @param {Array} data - The spliced array.
+   * @param {object} change - The splice record ({ index, removed, added }).
    */
-  #resolveBinding(parts, item, index) {
-    let result = '';
-    for (const part of parts) {
-      if (typeof part === 'string') {
-        result += part;
-      } else {
-        result += this.#evaluateToken(part.token, item, index);
+  #splice(data, change) {
+    const { index, removed = [], added = [] } = change;
+    const instances = this.#instances;
+    // The array is the same one for an in-place splice, so also check that every rendered row
+    // holds the item the record says was there before the splice (cheap compared to a diff).
+    const shift = added.length - removed.length;
+    const previousItem = i => (i < index) ? data[i] : (i < index + removed.length) ? removed[i - index] : data[i + shift];
+    const consistent = this.#targetElem &&
+      !this.#virtual &&
+      this.#pendingCount === 0 &&
+      Array.isArray(data) &&
+      Reactive.toRaw(this.#data) === Reactive.toRaw(data) &&
+      this.#view === this.#data &&
+      instances.length === data.length - shift &&
+      index >= 0 && index + removed.length <= instances.length &&
+      instances.every((instance, i) => Reactive.toRaw(instance.item) === Reactive.toRaw(previousItem(i)));
+
+    if (!consistent) {
+      this.#render(data);
+      return;
+    }
+
+    this.#startRender();
+    this.#showState(data.length ? null : 'empty');
+    const count = this.#viewCount;
+    this.#viewCount = data.length;
+    const animated = this.#isAnimated();
+    const created = [];
+    for (let i = 0; i < added.length; i++) {
+      const item = added[i];
+      const def = this.#selectTemplate(item);
+      if (!def) {
+        // items without a template are skipped, so positions no longer line up
+        this.#render(data);
+        return;
       }
+      created.push(this.#createInstance(def, item, index + i, this.#keyBy ? this.#keyOf(item) : null));
+    }
+
+    const next = instances[index + removed.length];
+    const gone = instances.splice(index, removed.length, ...created);
+    for (const instance of gone) this.#removeInstance(instance, animated);
+
+    const before = next ? next.nodes[0] : (instances[index - 1]?.nodes.at(-1)?.nextSibling ?? null);
+    for (const instance of created) {
+      for (const node of instance.nodes) this.#targetElem.insertBefore(node, before);
+      if (animated) this.#animateEnter(instance);
     }
-    this.log?.('#resolveBinding()', this.#logProps({parts, item, index}));
-    return result;
+
+    for (const instance of created) this.#dispatchItem('added', instance);
+
+    if (gone.length !== created.length) {
+      for (let i = index + created.length; i < instances.length; i++) {
+        const from = instances[i].index;
+        this.#patch(instances[i], data[i], i);
+        this.#dispatchItem('moved', instances[i], { from });
+      }
+    }
+
+    // rows that show $count or $last
+    if (count !== data.length) {
+      for (const instance of instances) {
+        if (this.#usesCount(instance.def)) this.#patch(instance, instance.item, instance.index);
+      }
+    }
+
+    this.#finishRender();
+    this.log?.('#splice()', this.#logProps({data, change}));
+  }
+
+  /**
+   * Starts a render: creates a new pending `rendered` promise, unless one is already pending.
+   * @private
+   */
+  #startRender() {
+    if (this.#resolveRendered) return;
+    this.#rendered = new Promise(resolve => this.#resolveRendered = resolve);
+  }
+
+  /**
+   * Returns the state a template is marked for ('empty', 'loading' or 'error'), or null.
+   *
+   * @private
+   * @param {HTMLTemplateElement} tmpl - The template.
+   * @returns {string|null}
+   */
+  #stateOf(tmpl) {
+    return ARepeat.#states.find(state => tmpl.hasAttribute(state)) ?? null;
+  }
+
+  /**
+   * Stops listening to the scroll container.
+   * @private
+   */
+  #stopListening() {
+    this.#virtualController?.abort();
+    this.#virtualController = null;
+    this.#resizeObserver?.disconnect();
+    this.#resizeObserver = null;
+    this.#scroller = null;
+    scheduler.cancel(this.#windowTask);
   }
 
   /**
@@ -750,19 +1664,50 @@ export default class ARepeat extends HTMLElement {
       undefined;
 
     // If not found on model, try scope
-    if (initialValue === undefined && this.#scope) {
-      initialValue = PathResolver.getValue(this.#scope, this.#prop);
-      if (initialValue !== undefined) source = this.#scope;
+    const scope = Template.scopeOf(this.#scope);
+    if (initialValue === undefined && scope) {
+      initialValue = PathResolver.getValue(scope, this.#prop);
+      if (initialValue !== undefined) source = scope;
     }
 
     if (initialValue) this.#render(initialValue);
     if(!source) return;
 
     const busKey = Bus.getKey(source, this.#prop);
-    this.#unsubscribe = crosstownBus.hopOn(busKey, (val) => { this.#render(val) });
+    this.#unsubscribe = crosstownBus.hopOn(busKey, (val, change) => {
+      if (change?.type === 'splice') this.#splice(val, change);
+      else this.#render(val);
+    });
+    this.#watchView();
     this.log?.('#subscribe()', this.#logProps());
   }
 
+  /**
+   * Converts a list source to an array of items.
+   * Maps and plain objects become `{ key, value }` entries; Sets and other iterables are copied;
+   * a number n becomes the range 1..n.
+   *
+   * @private
+   * @param {any} value - The source.
+   * @returns {Array|null} The items, or null if the source cannot be iterated.
+   */
+  #toList(value) {
+    if (Array.isArray(value)) return value;
+    if (value === null || value === undefined) return [];
+    if (typeof value === 'number') {
+      return Array.from({ length: Math.max(Math.trunc(value) || 0, 0) }, (_, i) => i + 1);
+    }
+    if (this.#isDictionary(value)) {
+      const raw = Reactive.toRaw(value);
+      const entries = (raw instanceof Map) ? raw.entries() : Object.entries(value);
+      return Array.from(entries, ([key, value]) => ({ key, value }));
+    }
+    if (typeof value === 'object' && typeof value[Symbol.iterator] === 'function') {
+      return Array.from(Reactive.toRaw(value));
+    }
+    return null;
+  }
+
   /**
    * Captures properties set on the instance before the class was upgraded.
    * Deletes the own property and resets it to trigger the class setter.
@@ -780,13 +1725,193 @@ export default class ARepeat extends HTMLElement {
     this.log?.(`#upgrade(${prop})`, this.#logProps());
   }
 
-   // --- Public ---
+  /**
+   * Checks if a template shows `$count` or `$last`, which change when the list length does.
+   * The result is cached on the definition.
+   *
+   * @private
+   * @param {object} def - The template definition ({ content, bindings }).
+   * @returns {boolean}
+   */
+  #usesCount(def) {
+    const search = bindings => bindings.some(binding => {
+      if (binding.type === 'template-content') return search(binding.bindings);
+      return (binding.parts ?? []).some(part => part.expr?.paths.some(path => /^\$(count|last)\b/.test(path)));
+    });
+    def.usesCount ??= search(def.bindings);
+    return def.usesCount;
+  }
+
+  /**
+   * Reads a path on an item for sorting and filtering. `item` and `this` are the item itself.
+   *
+   * @private
+   * @param {any} item - The item.
+   * @param {string} path - The path.
+   * @returns {any}
+   */
+  #valueAt(item, path) {
+    if (path === 'item' || path === 'this') return item;
+    return PathResolver.getValue(item, path);
+  }
+
+  /**
+   * Returns the visible part of the scroll container, relative to the top of the list.
+   *
+   * @private
+   * @returns {{top: number, height: number}}
+   */
+  #viewport() {
+    const start = this.#spacers[0].getBoundingClientRect().top;
+    if (!this.#scroller) return { top: -start, height: globalThis.innerHeight };
+
+    const rect = this.#scroller.getBoundingClientRect();
+    return { top: rect.top + this.#scroller.clientTop - start, height: this.#scroller.clientHeight };
+  }
+
+  /**
+   * Subscribes to the model paths named by 'filter-value' and 'page',
+   * so the view is updated when they are announced.
+   *
+   * @private
+   */
+  #watchView() {
+    for (const unsubscribe of this.#viewUnsubscribes) unsubscribe();
+    this.#viewUnsubscribes = [];
+    if (!this.#isConnected) return;
+
+    const paths = [this.#filterValue];
+    if (this.#page && Number.isNaN(Number(this.#page))) paths.push(this.#page);
+
+    for (const path of paths.filter(Boolean)) {
+      for (const source of [this.#model, Template.scopeOf(this.#scope)]) {
+        if (!source || (typeof source !== 'object' && typeof source !== 'function')) continue;
+        this.#viewUnsubscribes.push(crosstownBus.hopOn(Bus.getKey(source, path), () => this.#refreshView()));
+      }
+    }
+  }
+
+  /**
+   * Resolves when an element's CSS transition or animation ends.
+   * Resolves at once if it has none, and after its computed duration if no end event arrives.
+   *
+   * @private
+   * @param {Element} element - The element.
+   * @returns {Promise<void>}
+   */
+  #whenTransitionEnds(element) {
+    const style = getComputedStyle(element);
+    const longest = (durations, delays) => {
+      const ms = value => parseFloat(value) * (value.trim().endsWith('ms') ? 1 : 1000) || 0;
+      const d = (durations || '0s').split(',');
+      const w = (delays || '0s').split(',');
+      return Math.max(...d.map((value, i) => ms(value) + ms(w[i % w.length])));
+    };
+    const timeout = Math.max(
+      longest(style.transitionDuration, style.transitionDelay),
+      longest(style.animationDuration, style.animationDelay)
+    );
+    if (!timeout) return Promise.resolve();
+
+    return new Promise(resolve => {
+      const controller = new AbortController();
+      const done = () => {
+        clearTimeout(timer);
+        controller.abort();
+        resolve();
+      };
+      const onEnd = event => { if (event.target === element) done(); };
+      const timer = setTimeout(done, timeout + 50);
+      element.addEventListener('transitionend', onEnd, { signal: controller.signal });
+      element.addEventListener('animationend', onEnd, { signal: controller.signal });
+    });
+  }
+
+  // --- Public ---
 
   // --- Getters / Setters ---
 
   get debug() { return this.hasAttribute('debug') }
   set debug(value) { this.setAttribute('debug', !!value) }
 
+  /**
+   * Gets or sets the class prefix for enter/leave/move animations (null if not animated).
+   * `true` uses the default prefix 'arepeat'. Keyed rows that move are animated with FLIP.
+   * @type {string|null}
+   */
+  get animate() { return this.#animate }
+  set animate(value) {
+    if (value === false || value === null || value === undefined) this.removeAttribute('animate');
+    else this.setAttribute('animate', value === true ? '' : value);
+  }
+
+  /**
+   * Gets or sets the name tokens use for the current item (e.g. "order" for `{{ order.id }}`).
+   * Visible to nested repeats.
+   * @type {string}
+   */
+  get as() { return this.#as }
+  set as(value) { this.setAttribute('as', value) }
+
+  /**
+   * Gets or sets the item path of each item's child list, for rendering trees
+   * (`$depth` is the level of a row, from 0).
+   * (Named `childrenProp` because `children` is a DOM property.)
+   * @type {string}
+   */
+  get childrenProp() { return this.#children }
+  set childrenProp(value) {
+    if (value === null || value === undefined) this.removeAttribute('children');
+    else this.setAttribute('children', value);
+  }
+
+  /**
+   * Gets or sets the maximum number of new rows created per animation frame (0 renders all at once).
+   * 'arepeat:progress' is dispatched after each chunk.
+   * @type {number}
+   */
+  get chunk() { return this.#chunk }
+  set chunk(value) { this.setAttribute('chunk', value) }
+
+  /**
+   * Gets or sets the number of items to render without a model (the items 1 to n).
+   * Ignored if 'prop' is set.
+   * @type {number|null}
+   */
+  get count() { return this.#count }
+  set count(value) {
+    if (value === null || value === undefined) this.removeAttribute('count');
+    else this.setAttribute('count', value);
+  }
+
+  /**
+   * Gets or sets the item path(s) the filter term is matched against (comma-separated).
+   * @type {string}
+   */
+  get filterProp() { return this.#filterProp }
+  set filterProp(value) { this.setAttribute('filter-prop', value) }
+
+  /**
+   * Gets or sets the model path holding the filter term. The view is updated when it is announced.
+   * @type {string}
+   */
+  get filterValue() { return this.#filterValue }
+  set filterValue(value) { this.setAttribute('filter-value', value) }
+
+  /**
+   * Gets or sets the name tokens use for the current index.
+   * @type {string}
+   */
+  get indexAs() { return this.#indexAs }
+  set indexAs(value) { this.setAttribute('index-as', value) }
+
+  /**
+   * Gets or sets the row height (px) for virtual rendering. 0 measures each row.
+   * @type {number}
+   */
+  get itemHeight() { return this.#itemHeight }
+  set itemHeight(value) { this.setAttribute('item-height', value) }
+
   /**
    * Gets or sets the unique key property name for keyed rendering.
    * @type {string}
@@ -814,8 +1939,39 @@ export default class ARepeat extends HTMLElement {
     }
   }
 
+  /**
+   * Gets or sets the number of rows rendered above and below the viewport in virtual mode.
+   * @type {number}
+   */
+  get overscan() { return this.#overscan }
+  set overscan(value) { this.setAttribute('overscan', value) }
+
+  /**
+   * Gets or sets the page to show (1-based): a number, or a model path holding the number.
+   * @type {string}
+   */
+  get page() { return this.#page }
+  set page(value) { this.setAttribute('page', value) }
+
+  /**
+   * The number of pages in the view (1 if not paged).
+   * @type {number}
+   */
+  get pageCount() {
+    return this.#pageSize > 0 ? Math.max(Math.ceil(this.#viewCount / this.#pageSize), 1) : 1;
+  }
+
+  /**
+   * Gets or sets the number of rows per page (0 shows every row).
+   * @type {number}
+   */
+  get pageSize() { return this.#pageSize }
+  set pageSize(value) { this.setAttribute('page-size', value) }
+
   /**
    * Gets or sets the property name to observe on the model.
+   * The list may be an array, a Map or plain object (iterated as `{ key, value }` entries),
+   * a Set or other iterable, or a number n (the items 1 to n).
    * @type {string}
    */
   get prop() { return this.#prop; }
@@ -824,6 +1980,13 @@ export default class ARepeat extends HTMLElement {
     this.setAttribute('prop', value);
   }
 
+  /**
+   * A promise that resolves when the current render, including any chunks, is complete.
+   * Before the first render, it resolves after the first render.
+   * @type {Promise<void>}
+   */
+  get rendered() { return this.#rendered }
+
   /**
    * Gets or sets the fallback scope object.
    * Used for variable resolution if a property is not found on the loop item.
@@ -831,7 +1994,11 @@ export default class ARepeat extends HTMLElement {
    */
   get scope() { return this.#scope }
   set scope(value) {
-    if (this.#scope === value) return;
+    if (this.#scope === value) {
+      // an enclosing row was patched, so its loop variables may have changed
+      if (Template.isFrame(value)) this.#refreshRows();
+      return;
+    }
     if (typeof value === 'object' && value !== null) {
       this.#scope = value;
       if (this.#isConnected && this.#prop) this.#subscribe();
@@ -840,6 +2007,19 @@ export default class ARepeat extends HTMLElement {
     }
   }
 
+  /**
+   * Gets or sets the sort order: comma-separated item paths, '-' prefix for descending.
+   * @type {string}
+   */
+  get sort() { return this.#sort }
+  set sort(value) { this.setAttribute('sort', value) }
+
+  /**
+   * The state shown instead of rows: 'loading', 'error', 'empty', or null while rows are shown.
+   * @type {string|null}
+   */
+  get state() { return this.#state }
+
   /**
    * Gets or sets the target selector.
    * Defines where the list should be rendered (if not inside the element itself).
@@ -862,7 +2042,16 @@ export default class ARepeat extends HTMLElement {
   }
 
   /**
-   * Gets or sets the 'templates' JSON configuration.
+   * Gets or sets the item path whose value is the id of the template to use for the item.
+   * @type {string}
+   */
+  get templateBy() { return this.#templateBy }
+  set templateBy(value) { this.setAttribute('template-by', value) }
+
+  /**
+   * Gets or sets the template selection rules: `{ field, map, default }`.
+   * `map` maps values of the item's `field` to template ids; `default` is used for other values.
+   * Without `map`, the value itself is the template id. `field` defaults to 'template-by'.
    * @type {string|object}
    */
   get templates() { return this.#templates }
@@ -872,6 +2061,26 @@ export default class ARepeat extends HTMLElement {
     this.setAttribute('templates', str);
   }
 
+  /**
+   * The number of items in the list, before filtering and paging.
+   * @type {number}
+   */
+  get total() { return this.#data.length }
+
+  /**
+   * Gets or sets virtual rendering (only the rows in the scroll viewport are rendered,
+   * and their nodes are recycled as the list scrolls).
+   * @type {boolean}
+   */
+  get virtual() { return this.#virtual }
+  set virtual(value) { this.toggleAttribute('virtual', !!value) }
+
+  /**
+   * The number of items that pass the filter (across all pages).
+   * @type {number}
+   */
+  get viewCount() { return this.#viewCount }
+
   /**
    * Direct setter for the data array.
    * Bypasses the Bus/Model lookup and renders immediately.
@@ -0,0 +1,289 @@
+/**
+ * Multi-branch rendering driven by a model path.
+ *
+ * <a-switch> stamps the `<template case="...">` whose value matches the value at
+ * `model`/`prop` (compared as strings), or the `<template default>` if none match.
+ * `{{ token }}` bindings in the stamped branch resolve against the model.
+ * The previous branch is removed when the value selects a different one.
+ * While a branch is shown, its tokens are updated when the model paths they read are announced.
+ *
+ * @extends HTMLElement
+ *
+ * @author Holmes Bryant <https://github.com/HolmesBryant>
+ * @license GPL-3.0
+ * @version 1.0
+ */
+
+import Bus, { crosstownBus } from './Bus.js';
+import { loader } from './Loader.js';
+import PathResolver from './PathResolver.js';
+import Template from './Template.js';
+
+export default class ASwitch extends HTMLElement {
+  #branch = null;
+  #cases = new Map();
+  #current = null;
+  #defaultCase = null;
+  #group = null;
+  #isConnected = false;
+  #model;
+  #modelLoadId = 0;
+  #nodes = [];
+  #prop;
+  #slots = [];
+  #tokenUnsubscribes = [];
+  #unsubscribe;
+
+  /**
+   * List of attributes to observe for changes.
+   * @static
+   * @returns {string[]} ['model', 'prop']
+   */
+  static observedAttributes = ['model', 'prop'];
+
+  constructor() {
+    super();
+    this.attachShadow({ mode: 'open' });
+    this.shadowRoot.innerHTML = '<style>:host{ display:contents }</style><slot></slot>';
+  }
+
+  // --- Lifecycle ---
+
+  /**
+   * Called when an observed attribute changes.
+   *
+   * @param {string} attr - The attribute name.
+   * @param {string} oldval - The old value.
+   * @param {string} newval - The new value.
+   */
+  attributeChangedCallback(attr, oldval, newval) {
+    if (oldval === newval) return;
+    switch (attr) {
+      case 'model':
+        const currentModelId = ++this.#modelLoadId;
+        loader.load(newval)
+        .then(model => {
+          if (this.#modelLoadId !== currentModelId) return;
+          if (!this.#isConnected) return;
+          this.#model = model;
+          this.#subscribe();
+        })
+        .catch(error => {
+          if (this.#modelLoadId !== currentModelId) return;
+          console.error(`a-switch: Failed to load model: ${newval}`, error);
+        });
+        break;
+
+      case 'prop':
+        this.#prop = newval;
+        if (this.#isConnected) this.#subscribe();
+        break;
+    }
+  }
+
+  /**
+   * Called when the element is connected to the DOM.
+   * Compiles the case templates, and subscribes if the model and prop are known.
+   * Without a 'model' attribute, the closest <a-bindgroup> provides the model.
+   */
+  connectedCallback() {
+    this.#isConnected = true;
+    this.#upgrade('model');
+    this.#initTemplates();
+
+    if (!this.hasAttribute('model') && !this.#model) {
+      this.#group = this.closest('a-bindgroup');
+      this.#group?.register(this);
+    }
+
+    if (this.#model && this.#prop) this.#subscribe();
+  }
+
+  /**
+   * Called when the element is disconnected from the DOM.
+   * Unsubscribes from the Bus. Stamped content is kept.
+   */
+  disconnectedCallback() {
+    this.#isConnected = false;
+    this.#cleanup();
+    this.#group?.unregister(this);
+    this.#group = null;
+  }
+
+  // --- Private ---
+
+  /**
+   * Unsubscribes from the Bus.
+   * @private
+   */
+  #cleanup() {
+    if (this.#unsubscribe) {
+      this.#unsubscribe();
+      this.#unsubscribe = null;
+    }
+    this.#unwatchTokens();
+  }
+
+  /**
+   * Compiles the `<template case>` and `<template default>` children.
+   * The first template for a case wins.
+   *
+   * @private
+   */
+  #initTemplates() {
+    this.#cases.clear();
+    this.#defaultCase = null;
+
+    for (const tmpl of this.children) {
+      if (tmpl.localName !== 'template') continue;
+      const def = { content: tmpl.content, bindings: Template.compile(tmpl.content) };
+
+      if (tmpl.hasAttribute('case')) {
+        const value = tmpl.getAttribute('case');
+        if (!this.#cases.has(value)) this.#cases.set(value, def);
+      } else if (tmpl.hasAttribute('default')) {
+        this.#defaultCase ??= def;
+      }
+    }
+  }
+
+  /**
+   * Stamps the branch that matches the value and dispatches 'aswitch:change'.
+   * Does nothing if the value selects the branch already shown.
+   *
+   * @private
+   * @param {any} value - The value at `prop`.
+   */
+  #render(value) {
+    const key = (value === undefined || value === null) ? null : String(value);
+    const matched = key !== null && this.#cases.has(key);
+    const def = matched ? this.#cases.get(key) : this.#defaultCase;
+    if (def === this.#current) return;
+
+    this.#current = def;
+    this.#branch = matched ? key : (def ? 'default' : null);
+
+    for (const node of this.#nodes) node.remove();
+    this.#nodes = [];
+    this.#slots = [];
+    this.#unwatchTokens();
+    if (!def) return;
+
+    const fragment = def.content.cloneNode(true);
+    this.#slots = Template.bind(fragment, def.bindings);
+    Template.update(this.#slots, this.#model, undefined, undefined, this);
+    Template.provideModel(fragment, this.#model);
+    this.#nodes = Array.from(fragment.childNodes);
+    this.append(fragment);
+    this.#watchTokens();
+
+    this.dispatchEvent(new CustomEvent('aswitch:change', {
+      bubbles: true,
+      composed: true,
+      detail: { branch: this.#branch, value }
+    }));
+  }
+
+  /**
+   * Subscribes to the crosstownBus and renders the current value.
+   * @private
+   */
+  #subscribe() {
+    this.#cleanup();
+    if (!this.#prop) return;
+
+    this.#render(this.#model ? PathResolver.getValue(this.#model, this.#prop) : undefined);
+    if (!this.#model) return;
+
+    const busKey = Bus.getKey(this.#model, this.#prop);
+    this.#unsubscribe = crosstownBus.hopOn(busKey, value => this.#render(value));
+
+    // the branch may have been kept from before a disconnect
+    if (!this.#tokenUnsubscribes.length) this.#watchTokens();
+    this.#updateTokens();
+  }
+
+  /**
+   * Stops listening to the paths read by the current branch's tokens.
+   * @private
+   */
+  #unwatchTokens() {
+    for (const unsubscribe of this.#tokenUnsubscribes) unsubscribe();
+    this.#tokenUnsubscribes = [];
+  }
+
+  /**
+   * Writes the model's current values into the current branch's tokens.
+   * @private
+   */
+  #updateTokens() {
+    Template.update(this.#slots, this.#model, undefined, undefined, this);
+  }
+
+  /**
+   * Captures properties set on the instance before the class was upgraded.
+   *
+   * @private
+   * @param {string} prop - The property name.
+   */
+  #upgrade(prop) {
+    if (Object.prototype.hasOwnProperty.call(this, prop)) {
+      const value = this[prop];
+      delete this[prop];
+      this[prop] = value;
+    }
+  }
+
+  /**
+   * Subscribes to the model paths read by the current branch's tokens,
+   * so the branch is updated when they change while the case stays the same.
+   *
+   * @private
+   */
+  #watchTokens() {
+    this.#unwatchTokens();
+    if (!this.#current || !this.#model || !this.#isConnected) return;
+
+    for (const path of Template.paths(this.#current.bindings)) {
+      const busKey = Bus.getKey(this.#model, path);
+      this.#tokenUnsubscribes.push(crosstownBus.hopOn(busKey, () => this.#updateTokens()));
+    }
+  }
+
+  // --- Getters / Setters ---
+
+  /**
+   * The case currently shown ('default' for the default template, null if none).
+   * @type {string|null}
+   */
+  get branch() { return this.#branch }
+
+  /**
+   * Gets or sets the model source.
+   * If a string is passed, it updates the attribute (triggering the Loader).
+   * @type {object|string}
+   */
+  get model() { return this.#model }
+  set model(value) {
+    if (this.#model === value) return;
+    if (typeof value === 'string') {
+      this.setAttribute('model', value);
+    } else {
+      this.#model = value;
+      this.#current = null; // re-stamp so tokens resolve against the new model
+      if (this.#isConnected && this.#prop) this.#subscribe();
+    }
+  }
+
+  /**
+   * Gets or sets the path of the value to switch on.
+   * @type {string}
+   */
+  get prop() { return this.#prop }
+  set prop(value) {
+    if (this.#prop === value) return;
+    this.setAttribute('prop', value);
+  }
+}
+
+if (!customElements.get('a-switch')) customElements.define('a-switch', ASwitch);
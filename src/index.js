@@ -3,8 +3,10 @@
 import ABind from './a-bind.js';
 import ABindgroup from './a-bindgroup.js';
 import ARepeat from './a-repeat.js';
+import AIf, { AShow } from './a-if.js';
+import ASwitch from './a-switch.js';
 
 // Re-export utilities from core (Bus, Loader, etc.)
 export * from './a-bind.js';
 
-export { ABindgroup, ARepeat, ABind as default };
+export { ABindgroup, ARepeat, AIf, AShow, ASwitch, ABind as default };
@@ -7,10 +7,19 @@ import ATestRunner from './ATestRunner.min.js';
 import ABind from '../src/a-bind.js';
 import ABindgroup from '../src/a-bindgroup.js';
 import ARepeat from '../src/a-repeat.js';
+import AIf from '../src/a-if.js';
+import ASwitch from '../src/a-switch.js';
 import PathResolver from '../src/PathResolver.js';
 import { scheduler } from '../src/Schedule.js';
-import { crosstownBus } from '../src/Bus.js';
+import Bus, { crosstownBus } from '../src/Bus.js';
 import { loader } from '../src/Loader.js';
+import { reactive } from '../src/Reactive.js';
+import Expression from '../src/Expression.js';
+import { formatters } from '../src/Formatters.js';
+import { validators } from '../src/Validators.js';
+import History from '../src/History.js';
+import Persist from '../src/Persist.js';
+import Bridge from '../src/Bridge.js';
 
 // Initialize Runner
 const runner = new ATestRunner(import.meta.url);
@@ -75,6 +84,87 @@ group("PathResolver", () => {
 	}, 'blue');
 });
 
+group("Expression", () => {
+	const model = { firstName: 'Ada', lastName: 'Lovelace', total: 10, items: [{ name: 'x' }] };
+
+	test("evaluate: Concatenates strings", () => {
+		return Expression.compile("firstName + ' ' + lastName").evaluate(model);
+	}, 'Ada Lovelace');
+
+	test("evaluate: Arithmetic and ternary", () => {
+		return Expression.compile("total * 1.5 > 10 ? 'big' : 'small'").evaluate(model);
+	}, 'big');
+
+	test("paths: Tracks every path read", () => {
+		return Expression.compile("items.0.name + firstName").paths;
+	}, ['items.0.name', 'firstName']);
+
+	test("Security: Rejects unsafe paths and calls", () => {
+		const threw = src => { try { Expression.compile(src); return false } catch (e) { return true } };
+		return threw('a.constructor') && threw('alert(1)');
+	}, true);
+
+	test("Filters: Pipes values through formatters", () => {
+		return Expression.compile("price * qty | number:2").evaluate({ price: 2, qty: 3 });
+	}, '6.00');
+});
+
+group("Formatters", () => {
+	test("parse: Splits pipes and arguments", () => {
+		return formatters.parse('currency:USD:en-US|trim');
+	}, [{ name: 'currency', args: ['USD', 'en-US'] }, { name: 'trim', args: [] }]);
+
+	test("toView: Chains pipes left to right", () => {
+		return formatters.toView('  hello ', 'trim|uppercase');
+	}, 'HELLO');
+
+	test("toModel: Converts numbers and dates", () => {
+		const date = formatters.toModel('2024-03-05', 'date');
+		return [formatters.toModel('42', 'int'), date.getFullYear(), date.getMonth(), date.getDate()];
+	}, [42, 2024, 2, 5]);
+
+	test("currency/percent: Round-trip with the locale's separators", () => {
+		const euros = formatters.toView(1234.56, 'currency:EUR:de-DE');
+		const percent = formatters.toView(0.125, 'percent:1:de-DE');
+		return [
+			formatters.toModel('1.234,56 €', 'currency:EUR:de-DE'),
+			formatters.toModel(euros, 'currency:EUR:de-DE'),
+			formatters.toModel(percent, 'percent:1:de-DE'),
+			formatters.toModel('$1,234.56', 'currency:USD:en-US')
+		];
+	}, [1234.56, 1234.56, 0.125, 1234.56]);
+
+	test("define: Registers custom formatters", () => {
+		formatters.define('reverse', { toView: v => [...v].reverse().join('') });
+		return formatters.toView('abc', 'reverse');
+	}, 'cba');
+});
+
+group("Validators", () => {
+	test("parse: Keeps '|' inside a trailing pattern", () => {
+		return validators.parse('required|min:3|pattern:^(a|b)$');
+	}, [{ name: 'required', arg: undefined }, { name: 'min', arg: '3' }, { name: 'pattern', arg: '^(a|b)$' }]);
+
+	test("validate: Collects failure messages", () => {
+		return validators.validate('ab', 'required|min:3|pattern:^\\d+$').length;
+	}, 2);
+
+	test("validate: Uses custom model validators", () => {
+		const model = { isEven: value => value % 2 === 0 || 'Must be even.' };
+		return validators.validate(3, 'isEven', { model });
+	}, ['Must be even.']);
+
+	test("validate: Ignores inherited Object members as rules", () => {
+		const model = { isEven: value => value % 2 === 0 || 'Must be even.' };
+		const warn = console.warn;
+		const warned = [];
+		console.warn = msg => warned.push(msg);
+		const messages = validators.validate(3, 'constructor|toString|hasOwnProperty', { model });
+		console.warn = warn;
+		return { messages, warned: warned.length };
+	}, { messages: [], warned: 3 });
+});
+
 group("Bus (PubSub)", () => {
 	test("getKey: Generates unique keys for objects", () => {
 		const obj = {};
@@ -101,6 +191,45 @@ group("Bus (PubSub)", () => {
 
 		return count;
 	}, 5);
+
+	test("ripple: Reaches descendant and ancestor paths", () => {
+		const model = { user: { name: 'a' } };
+		const Bus = crosstownBus.constructor;
+		const heard = [];
+		const offName = crosstownBus.hopOn(Bus.getKey(model, 'user.name'), v => heard.push(v));
+		const offUser = crosstownBus.hopOn(Bus.getKey(model, 'user'), v => heard.push(v.name));
+
+		model.user = { name: 'b' };
+		crosstownBus.ripple(model, 'user', model.user);
+		model.user.name = 'c';
+		crosstownBus.ripple(model, 'user.name', 'c');
+
+		offName();
+		offUser();
+		return heard.join(',');
+	}, 'b,b,c,c');
+
+	test("batch: Announces each key once after the batch", () => {
+		const heard = [];
+		const off = crosstownBus.hopOn('batch-event', v => heard.push(v));
+		crosstownBus.batch(() => {
+			crosstownBus.announce('batch-event', 1);
+			crosstownBus.announce('batch-event', 2);
+			heard.push('inside');
+		});
+		off();
+		return heard;
+	}, ['inside', 2]);
+
+	test("tap: Observes every ripple", () => {
+		const model = { a: 1 };
+		const seen = [];
+		const untap = crosstownBus.tap((m, path, value) => { if (m === model) seen.push(`${path}=${value}`) });
+		crosstownBus.ripple(model, 'a', 2);
+		untap();
+		crosstownBus.ripple(model, 'a', 3);
+		return seen;
+	}, ['a=2']);
 });
 
 group("Schedule (RAF)", () => {
@@ -146,6 +275,285 @@ group("Loader", () => {
 	}, true);
 });
 
+group("Reactive", () => {
+	test("Announces assignments on the raw model's key", () => {
+		const raw = { count: 0 };
+		const model = reactive(raw);
+		let heard;
+		const off = crosstownBus.hopOn(Bus.getKey(raw, 'count'), v => heard = v);
+		model.count = 5;
+		off();
+		return heard;
+	}, 5);
+
+	test("Announces nested paths", () => {
+		const raw = { user: { address: { city: 'Paris' } } };
+		const model = reactive(raw);
+		let heard;
+		const off = crosstownBus.hopOn(Bus.getKey(raw, 'user.address.city'), v => heard = v);
+		model.user.address.city = 'Rome';
+		off();
+		return heard + ':' + raw.user.address.city;
+	}, 'Rome:Rome');
+
+	test("loader.define: Wraps model when reactive option is set", async () => {
+		const raw = { name: 'a' };
+		loader.define('reactiveModel', raw, { reactive: true });
+		const model = await loader.load('reactiveModel');
+		return model !== raw && Bus.getKey(model, 'name') === Bus.getKey(raw, 'name');
+	}, true);
+
+	test("Array methods: Announce once with a splice record", () => {
+		const raw = { list: ['a'] };
+		const model = reactive(raw);
+		const heard = [];
+		const off = crosstownBus.hopOn(Bus.getKey(raw, 'list'), (v, change) => heard.push(change));
+		model.list.push('b', 'c');
+		off();
+		return heard.map(({ type, index, added }) => [type, index, added]);
+	}, [['splice', 1, ['b', 'c']]]);
+});
+
+group("History", () => {
+	test("undo/redo: Restores values and re-announces them", () => {
+		const raw = { name: 'a' };
+		const model = reactive(raw);
+		const history = new History({ model });
+		const heard = [];
+		const off = crosstownBus.hopOn(Bus.getKey(raw, 'name'), v => heard.push(v));
+		model.name = 'b';
+		model.name = 'c';
+		history.undo();
+		const undone = raw.name;
+		history.redo();
+		off();
+		history.dispose();
+		return { undone, redone: raw.name, heard };
+	}, { undone: 'a', redone: 'c', heard: ['b', 'c', 'a', 'c'] });
+
+	test("Groups changes made in the same frame", async () => {
+		const model = reactive({ a: 1, b: 1 });
+		const history = new History({ model });
+		model.a = 2;
+		model.b = 2;
+		await wait(50);
+		model.a = 3;
+		history.undo();
+		const first = [model.a, model.b];
+		history.undo();
+		const second = [model.a, model.b];
+		const canUndo = history.canUndo;
+		history.dispose();
+		return { first, second, canUndo };
+	}, { first: [2, 2], second: [1, 1], canUndo: false });
+
+	test("ABind.update: Records changes to known paths", async () => {
+		const model = { count: 1 };
+		const history = new History({ model });
+		History.remember(model, 'count', 1);
+		model.count = 2;
+		ABind.update(model, 'count', 2);
+		history.undo();
+		history.dispose();
+		return model.count;
+	}, 1);
+
+	test("ABind.update: Records the current value of unknown paths as the previous value", () => {
+		const model = { count: 1 };
+		const history = new History({ model });
+		ABind.update(model, 'count', 2);
+		const recorded = history.canUndo;
+		history.undo();
+		history.dispose();
+		return { recorded, count: model.count };
+	}, { recorded: true, count: 1 });
+
+	test("ABind.update: Does not record a reactive assignment twice", () => {
+		const model = reactive({ count: 1 });
+		const history = new History({ model });
+		model.count = 2;
+		ABind.update(model, 'count', 2);
+		history.undo();
+		const result = { count: model.count, canUndo: history.canUndo };
+		history.dispose();
+		return result;
+	}, { count: 1, canUndo: false });
+
+	test("Ignores models outside its scope", () => {
+		const history = new History({ model: {} });
+		const model = reactive({ x: 1 });
+		model.x = 2;
+		const result = history.canUndo;
+		history.dispose();
+		return result;
+	}, false);
+
+	test("Records input edits to reactive models once", async () => {
+		const model = reactive({ name: 'Ada' });
+		const history = new History({ model });
+		const heard = [];
+		const off = crosstownBus.hopOn(Bus.getKey(model, 'name'), v => heard.push(v));
+		const { el, input } = await setupBind(model, { prop: 'name' });
+
+		input.value = 'Grace';
+		input.dispatchEvent(new Event('input'));
+		await when(() => model.name === 'Grace');
+		history.undo();
+		const result = { name: model.name, heard, canUndo: history.canUndo };
+		off();
+		history.dispose();
+		el.remove();
+		return result;
+	}, { name: 'Ada', heard: ['Grace', 'Ada'], canUndo: false });
+});
+
+group("Persist", () => {
+	test("Hydrates the model from storage", async () => {
+		localStorage.setItem('abind-test-hydrate', JSON.stringify({ theme: 'dark' }));
+		const model = { theme: 'light' };
+		const persist = new Persist(model, 'local:abind-test-hydrate');
+		await persist.ready;
+		await persist.dispose();
+		localStorage.removeItem('abind-test-hydrate');
+		return model.theme;
+	}, 'dark');
+
+	test("Hydrates only watched paths", async () => {
+		localStorage.setItem('abind-test-watched', JSON.stringify({ theme: 'dark', size: 'large' }));
+		const model = { theme: 'light', size: 'small' };
+		const persist = new Persist(model, 'local:abind-test-watched', { paths: ['theme'] });
+		await persist.ready;
+		const before = { ...model };
+		persist.watch('size');
+		await persist.dispose();
+		localStorage.removeItem('abind-test-watched');
+		return { before, after: model };
+	}, { before: { theme: 'dark', size: 'small' }, after: { theme: 'dark', size: 'large' } });
+
+	test("Restores reactive models once, without recording history", async () => {
+		localStorage.setItem('abind-test-reactive', JSON.stringify({ theme: 'dark' }));
+		const model = reactive({ theme: 'light' });
+		const history = new History({ model });
+		const heard = [];
+		const off = crosstownBus.hopOn(Bus.getKey(model, 'theme'), v => heard.push(v));
+		const persist = new Persist(model, 'local:abind-test-reactive');
+		await persist.ready;
+		const result = { theme: model.theme, heard, canUndo: history.canUndo };
+		off();
+		history.dispose();
+		await persist.dispose();
+		localStorage.removeItem('abind-test-reactive');
+		return result;
+	}, { theme: 'dark', heard: ['dark'], canUndo: false });
+
+	test("loader.persistence: Returns the Persist of a defined model", async () => {
+		const model = { theme: 'light' };
+		loader.define('persistedModel', model, { persist: 'local:abind-test-loader' });
+		const persist = loader.persistence('persistedModel');
+		await persist.ready;
+		model.theme = 'dark';
+		ABind.update(model, 'theme', 'dark');
+		await persist.flush();
+		const stored = JSON.parse(localStorage.getItem('abind-test-loader'));
+		const same = loader.persistence(model) === persist;
+		await persist.dispose();
+		await persist.clear();
+		return { stored, same };
+	}, { stored: { theme: 'dark' }, same: true });
+
+	test("Saves announced changes after the delay", async () => {
+		const model = { size: 1 };
+		const persist = new Persist(model, 'session:abind-test-save', { delay: 10 });
+		await persist.ready;
+		model.size = 3;
+		ABind.update(model, 'size', 3);
+		await when(() => sessionStorage.getItem('abind-test-save'));
+		const stored = JSON.parse(sessionStorage.getItem('abind-test-save'));
+		await persist.dispose();
+		sessionStorage.removeItem('abind-test-save');
+		return stored;
+	}, { size: 3 });
+
+	test("Applies changes from other tabs", async () => {
+		const model = { theme: 'light' };
+		const persist = new Persist(model, 'local:abind-test-sync');
+		await persist.ready;
+		window.dispatchEvent(new StorageEvent('storage', {
+			key: 'abind-test-sync',
+			newValue: JSON.stringify({ theme: 'blue' }),
+			storageArea: localStorage
+		}));
+		await persist.dispose();
+		return model.theme;
+	}, 'blue');
+
+	test("parse: Rejects unknown storage types", () => {
+		try { Persist.parse('cookie:x') } catch (error) { return error.message }
+	}, 'Persist: Unknown storage type "cookie"');
+});
+
+group("Bridge", () => {
+	test("loader.keyOf: Finds the key of registered models and their proxies", async () => {
+		const raw = { count: 0 };
+		loader.define('keyOfModel', raw, { reactive: true });
+		const model = await loader.load('keyOfModel');
+		return [loader.keyOf(raw), loader.keyOf(model), loader.keyOf({})];
+	}, ['keyOfModel', 'keyOfModel', undefined]);
+
+	test("Posts changes to registered models", async () => {
+		const model = { count: 0 };
+		loader.define('bridgeOut', model);
+		const { port1, port2 } = new MessageChannel();
+		const bridge = new Bridge({ channel: false, targets: [port1] });
+		let received;
+		port2.onmessage = event => received = event.data;
+
+		model.count = 7;
+		ABind.update(model, 'count', 7);
+		await when(() => received);
+		bridge.dispose();
+		port2.close();
+		return [received.key, received.path, received.value];
+	}, ['bridgeOut', 'count', 7]);
+
+	test("Applies received changes once and announces them", async () => {
+		const model = { count: 0 };
+		loader.define('bridgeIn', model);
+		const { port1, port2 } = new MessageChannel();
+		const bridge = new Bridge({ channel: false, targets: [port1] });
+		const heard = [];
+		const off = crosstownBus.hopOn(Bus.getKey(model, 'count'), v => heard.push(v));
+
+		const message = { type: 'abind:bridge', id: 'test:1', source: 'test', key: 'bridgeIn', path: 'count', value: 5 };
+		port2.postMessage(message);
+		port2.postMessage({ ...message, value: 6 }); // same id: ignored
+		await wait(50);
+		off();
+		bridge.dispose();
+		port2.close();
+		return { count: model.count, heard };
+	}, { count: 5, heard: [5] });
+
+	test("Applies received changes to reactive models once, without recording history", async () => {
+		const model = reactive({ count: 0 });
+		loader.define('bridgeReactive', model);
+		const { port1, port2 } = new MessageChannel();
+		const bridge = new Bridge({ channel: false, targets: [port1] });
+		const history = new History({ model });
+		const heard = [];
+		const off = crosstownBus.hopOn(Bus.getKey(model, 'count'), v => heard.push(v));
+
+		port2.postMessage({ type: 'abind:bridge', id: 'test:reactive', source: 'test', key: 'bridgeReactive', path: 'count', value: 3 });
+		await wait(50);
+		const result = { count: model.count, heard, canUndo: history.canUndo };
+		off();
+		history.dispose();
+		bridge.dispose();
+		port2.close();
+		return result;
+	}, { count: 3, heard: [3], canUndo: false });
+});
+
 // --- Components ---
 
 // Helper for component tests
@@ -253,6 +661,73 @@ group("ABind", () => {
 		teardown();
 		return model.data.value;
 	}, '20');
+
+	test("Format & Parse: Converts between model and view", async () => {
+		const model = { price: 5 };
+		const { input, teardown } = await setupBind(model, {
+			prop: 'price',
+			format: 'number:2',
+			parse: 'number'
+		});
+
+		const shown = input.value;
+		input.value = '7.5';
+		input.dispatchEvent(new Event('input'));
+
+		await when(() => model.price === 7.5);
+		teardown();
+		return { shown, price: model.price };
+	}, { shown: '5.00', price: 7.5 });
+
+	test("Parse: raw disables automatic JSON conversion", async () => {
+		const model = { txt: '' };
+		const { input, teardown } = await setupBind(model, { prop: 'txt', parse: 'raw' });
+
+		input.value = '[1,2]';
+		input.dispatchEvent(new Event('input'));
+
+		await when(() => model.txt !== '');
+		teardown();
+		return model.txt;
+	}, '[1,2]');
+
+	test("Validation: Blocks invalid writes and reports them", async () => {
+		const model = { code: '123' };
+		const { el, input, teardown } = await setupBind(model, {
+			prop: 'code',
+			validate: 'required|pattern:^\\d+$'
+		});
+
+		let messages = [];
+		el.addEventListener('abind:invalid', e => messages = e.detail.messages);
+
+		input.value = 'abc';
+		input.dispatchEvent(new Event('input'));
+		await when(() => el.hasAttribute('invalid'));
+
+		const result = {
+			model: model.code,
+			messages: messages.length,
+			customValidity: input.validationMessage !== ''
+		};
+		teardown();
+		return result;
+	}, { model: '123', messages: 1, customValidity: true });
+
+	test("Computed Expression: Re-computes when a dependency is announced", async () => {
+		const model = { firstName: 'Ada', lastName: 'Lovelace' };
+		const { input, teardown } = await setupBind(model, {
+			expr: "firstName + ' ' + lastName",
+			pull: true
+		});
+
+		model.lastName = 'Byron';
+		ABind.update(model, 'lastName', 'Byron');
+
+		await when(() => input.value === 'Ada Byron');
+		teardown();
+		return input.value;
+	}, 'Ada Byron');
 });
 
 group("ABindgroup", () => {
@@ -310,8 +785,118 @@ group("ABindgroup", () => {
 	}, '2');
 });
 
+group("ABindgroup Forms", () => {
+	async function setupForm(model, attrs = {}) {
+		const group = document.createElement('a-bindgroup');
+		for (const [k, v] of Object.entries(attrs)) group.setAttribute(k, v);
+		group.model = model;
+
+		const child = document.createElement('a-bind');
+		child.setAttribute('prop', 'name');
+		const input = document.createElement('input');
+		child.append(input);
+		group.append(child);
+		document.body.append(group);
+
+		await when(() => child.bound && input.value === model.name);
+		return { group, child, input };
+	}
+
+	test("commit=submit: Buffers edits until submit()", async () => {
+		const model = { name: 'Ada' };
+		const { group, input } = await setupForm(model, { commit: 'submit' });
+
+		input.value = 'Grace';
+		input.dispatchEvent(new Event('input'));
+		await when(() => group.dirty);
+
+		const before = model.name;
+		const submitted = group.submit();
+		const result = { before, submitted, after: model.name, dirty: group.dirty };
+		group.remove();
+		return result;
+	}, { before: 'Ada', submitted: true, after: 'Grace', dirty: false });
+
+	test("buffer: commit() applies the draft, rollback() discards it", async () => {
+		const model = { name: 'Ada' };
+		const { group, input } = await setupForm(model, { buffer: '' });
+
+		input.value = 'Grace';
+		input.dispatchEvent(new Event('input'));
+		await when(() => group.draft.name === 'Grace');
+
+		group.rollback();
+		await when(() => input.value === 'Ada');
+		const afterRollback = model.name;
+
+		input.value = 'Joan';
+		input.dispatchEvent(new Event('input'));
+		await when(() => group.draft.name === 'Joan');
+		group.commit();
+
+		const result = { afterRollback, afterCommit: model.name, draft: group.draft };
+		group.remove();
+		return result;
+	}, { afterRollback: 'Ada', afterCommit: 'Joan', draft: {} });
+
+	test("reset: Restores initial model values", async () => {
+		const model = { name: 'Ada' };
+		const { group, input } = await setupForm(model);
+
+		input.value = 'Grace';
+		input.dispatchEvent(new Event('input'));
+		await when(() => model.name === 'Grace');
+
+		group.reset();
+		await when(() => input.value === 'Ada');
+		const result = { model: model.name, dirty: group.dirty };
+		group.remove();
+		return result;
+	}, { model: 'Ada', dirty: false });
+
+	test("history: Undoes input edits with Ctrl+Z", async () => {
+		const model = { name: 'Ada' };
+		const { group, input } = await setupForm(model, { history: '' });
+
+		input.value = 'Grace';
+		input.dispatchEvent(new Event('input'));
+		await when(() => model.name === 'Grace');
+
+		input.dispatchEvent(new KeyboardEvent('keydown', { key: 'z', ctrlKey: true, bubbles: true }));
+		await when(() => input.value === 'Ada');
+		const result = { model: model.name, canRedo: group.history.canRedo };
+		group.remove();
+		return result;
+	}, { model: 'Ada', canRedo: true });
+
+	test("persist: Hydrates and saves bound properties", async () => {
+		localStorage.setItem('abind-test-form', JSON.stringify({ name: 'Joan' }));
+		const model = { name: 'Ada' };
+		const group = document.createElement('a-bindgroup');
+		group.setAttribute('persist', 'local:abind-test-form');
+		group.model = model;
+		const child = document.createElement('a-bind');
+		child.setAttribute('prop', 'name');
+		const input = document.createElement('input');
+		child.append(input);
+		group.append(child);
+		document.body.append(group);
+
+		await when(() => input.value === 'Joan');
+		const dirty = group.dirty;
+		input.value = 'Grace';
+		input.dispatchEvent(new Event('input'));
+		await when(() => JSON.parse(localStorage.getItem('abind-test-form')).name === 'Grace');
+		const stored = JSON.parse(localStorage.getItem('abind-test-form')).name;
+
+		group.remove();
+		localStorage.removeItem('abind-test-form');
+		return { dirty, stored };
+	}, { dirty: false, stored: 'Grace' });
+});
+
 group("ARepeat", () => {
-	async function setupRepeat(items, templateStr) {
+	async function setupRepeat(items, templateStr, key) {
 		const model = { list: items };
 		const container = document.createElement('div');
 		container.id = 'id_' + crypto.randomUUID();
@@ -321,6 +906,7 @@ group("ARepeat", () => {
 		repeat.model = model;
 		repeat.setAttribute('prop', 'list');
 		repeat.setAttribute('target', `#${container.id}`);
+		if (key) repeat.setAttribute('key', key);
 
 		if (templateStr) {
 			const t = document.createElement('template');
@@ -357,6 +943,17 @@ group("ARepeat", () => {
 		return text;
 	}, '0: Bob');
 
+	test("Tokens: Evaluates expressions and filters", async () => {
+		const { container, teardown } = await setupRepeat(
+			[{ name: 'ada', price: 2, qty: 3, done: true }],
+			"<div class=\"{{ done ? 'done' : '' }}\">{{ index + 1 }}. {{ name | upper }} {{ price * qty }}</div>"
+		);
+		const div = container.firstElementChild;
+		const result = [div.className, div.textContent];
+		teardown();
+		return result;
+	}, ['done', '1. ADA 6']);
+
 	test("Reactivity: Updates on push", async () => {
 		const { model, container, teardown } = await setupRepeat(
 			['A'],
@@ -413,6 +1010,466 @@ group("ARepeat", () => {
 		container.remove();
 		return isSameElement;
 	}, true);
+
+	test("Patching: Changed items are updated in place", async () => {
+		const { model, container, teardown } = await setupRepeat(
+			[{ v: 'a' }, { v: 'b' }],
+			'<input value="{{v}}">'
+		);
+		const second = container.children[1];
+		const newList = [model.list[0], { v: 'c' }];
+		model.list = newList;
+		crosstownBus.announce(Bus.getKey(model, 'list'), newList);
+
+		await when(() => container.children[1].getAttribute('value') === 'c');
+		const result = container.children[1] === second;
+		teardown();
+		return result;
+	}, true);
+
+	test("Splice: Inserts and removes rows without re-rendering the rest", async () => {
+		const { model, container, teardown } = await setupRepeat(['a', 'b', 'c'], '<i>{{item}}</i>');
+		const first = container.firstElementChild;
+		ABind.splice(model, 'list', 1, 1, 'x', 'y');
+
+		await when(() => container.textContent === 'axyc');
+		const result = container.firstElementChild === first;
+		teardown();
+		return result;
+	}, true);
+
+	test("Splice: Falls back to a full render when rows have drifted", async () => {
+		const { model, container, teardown } = await setupRepeat(['a', 'b', 'c'], '<i>{{item}}</i>');
+		model.list.splice(0, 1, 'z'); // not announced
+		ABind.splice(model, 'list', 2, 1, 'w');
+
+		await when(() => container.textContent.endsWith('w'));
+		const result = container.textContent;
+		teardown();
+		return result;
+	}, 'zbw');
+
+	test("Splice: An explicit undefined deleteCount removes nothing, an omitted one removes the rest", () => {
+		const model = { list: ['a', 'b', 'c'] };
+		const none = ABind.splice(model, 'list', 1, undefined, 'x');
+		const afterInsert = model.list.join('');
+		const rest = ABind.splice(model, 'list', 2);
+		return { none, afterInsert, rest, list: model.list };
+	}, { none: [], afterInsert: 'axbc', rest: ['b', 'c'], list: ['a', 'x'] });
+
+	test("Virtual: Renders only the rows in the viewport", async () => {
+		const list = Array.from({ length: 1000 }, (_, i) => ({ id: i }));
+		const container = document.createElement('div');
+		container.id = 'id_' + crypto.randomUUID();
+		container.style.cssText = 'height:100px; overflow:auto';
+		document.body.append(container);
+
+		const repeat = document.createElement('a-repeat');
+		repeat.setAttribute('virtual', '');
+		repeat.setAttribute('item-height', '20');
+		repeat.setAttribute('overscan', '2');
+		repeat.setAttribute('target', `#${container.id}`);
+		repeat.innerHTML = '<template><div style="height:20px">{{id}}</div></template>';
+		repeat.items = list;
+		document.body.append(repeat);
+		await when(() => container.children.length > 0);
+
+		const rows = () => Array.from(container.children).filter(el => !el.hasAttribute('aria-hidden'));
+		const initial = rows().length;
+		container.scrollTop = 10000;
+		await when(() => rows()[0]?.textContent !== '0');
+		const result = [initial, container.scrollHeight, rows().some(el => el.textContent === '502')];
+		repeat.remove();
+		container.remove();
+		return result;
+	}, [8, 20000, true]);
+
+	test("Chunk: Renders large lists across frames with progress events", async () => {
+		const list = Array.from({ length: 50 }, (_, i) => i);
+		const { container, repeat, teardown } = await setupRepeat([], '<i>{{item}}</i>');
+		const progress = [];
+		repeat.chunk = 20;
+		repeat.addEventListener('arepeat:progress', event => progress.push(event.detail.rendered));
+		repeat.items = list;
+
+		const first = container.children.length;
+		await when(() => container.children.length === 50);
+		teardown();
+		return [first, progress];
+	}, [20, [20, 40, 50]]);
+
+	test("Animate: Removed rows stay until their leave transition ends", async () => {
+		const style = document.createElement('style');
+		style.textContent = '.fx-leave-active { transition: opacity 100ms } .fx-leave-to { opacity: 0 }';
+		document.head.append(style);
+
+		const { model, container, repeat, teardown } = await setupRepeat([{ id: 1 }, { id: 2 }], '<p>{{id}}</p>', 'id');
+		repeat.animate = 'fx';
+		const newList = [model.list[0]];
+		model.list = newList;
+		crosstownBus.announce(Bus.getKey(model, 'list'), newList);
+
+		const leaving = container.children[1];
+		const during = leaving.classList.contains('fx-leave-active');
+		await when(() => !leaving.isConnected);
+		teardown();
+		style.remove();
+		return [during, container.children.length];
+	}, [true, 1]);
+
+	test("Events: Reports added, removed and moved rows", async () => {
+		const { model, container, repeat, teardown } = await setupRepeat([{ id: 1 }, { id: 2 }], '<p>{{id}}</p>', 'id');
+		const events = [];
+		for (const type of ['item-added', 'item-removed', 'item-moved']) {
+			repeat.addEventListener(`arepeat:${type}`, event => events.push(`${type}:${event.detail.key}`));
+		}
+		const newList = [model.list[1], { id: 3 }];
+		model.list = newList;
+		crosstownBus.announce(Bus.getKey(model, 'list'), newList);
+
+		await repeat.rendered;
+		teardown();
+		return events;
+	}, ['item-removed:1', 'item-added:3', 'item-moved:2']);
+
+	test("rendered: Resolves after the chunks finish", async () => {
+		const { container, repeat, teardown } = await setupRepeat([], '<i>{{item}}</i>');
+		repeat.chunk = 10;
+		repeat.items = Array.from({ length: 35 }, (_, i) => i);
+		await repeat.rendered;
+		const count = container.children.length;
+		teardown();
+		return count;
+	}, 35);
+
+	test("View: Sorts by several paths without changing the model", async () => {
+		const list = [{ n: 'b', a: 1 }, { n: 'a', a: 1 }, { n: 'c', a: 2 }];
+		const { model, container, repeat, teardown } = await setupRepeat(list, '<i>{{n}}</i>');
+		repeat.sort = '-a,n';
+		await repeat.rendered;
+		const result = [container.textContent, model.list[0].n];
+		teardown();
+		return result;
+	}, ['cab', 'b']);
+
+	test("View: Filters by a model path and follows its announcements", async () => {
+		const { model, container, repeat, teardown } = await setupRepeat(['Apple', 'banana', 'Grape'], '<i>{{item}}</i>');
+		model.q = 'AP';
+		repeat.filterValue = 'q';
+		await repeat.rendered;
+		const first = container.textContent;
+
+		model.q = 'an';
+		crosstownBus.announce(Bus.getKey(model, 'q'), 'an');
+		await when(() => container.textContent === 'banana');
+		const result = [first, repeat.viewCount, repeat.total];
+		teardown();
+		return result;
+	}, ['AppleGrape', 1, 3]);
+
+	test("View: Pages the list", async () => {
+		const { container, repeat, teardown } = await setupRepeat([1, 2, 3, 4, 5], '<i>{{item}}</i>');
+		repeat.pageSize = 2;
+		repeat.page = 3;
+		await repeat.rendered;
+		const result = [container.textContent, repeat.pageCount];
+		teardown();
+		return result;
+	}, ['5', 3]);
+
+	test("States: Shows the empty template until items arrive", async () => {
+		const model = { list: [] };
+		const repeat = document.createElement('a-repeat');
+		repeat.innerHTML = '<template><i>{{item}}</i></template><template empty><b>none</b></template>';
+		repeat.model = model;
+		repeat.setAttribute('prop', 'list');
+		document.body.append(repeat);
+		await repeat.rendered;
+		const before = [repeat.querySelector('b')?.textContent, repeat.state];
+
+		const newList = ['a'];
+		model.list = newList;
+		crosstownBus.announce(Bus.getKey(model, 'list'), newList);
+		await when(() => repeat.querySelector('i'));
+		const result = [...before, repeat.state, !!repeat.querySelector('b')];
+		repeat.remove();
+		return result;
+	}, ['none', 'empty', null, false]);
+
+	test("States: Shows the error template if the model fails to load", async () => {
+		const repeat = document.createElement('a-repeat');
+		repeat.innerHTML = '<template><i>{{item}}</i></template><template error><b>{{message}}</b></template>';
+		repeat.setAttribute('prop', 'list');
+		repeat.setAttribute('model', 'mod:./does-not-exist.js');
+		document.body.append(repeat);
+
+		await when(() => repeat.state === 'error');
+		const result = repeat.querySelector('b').textContent.includes('does-not-exist.js');
+		repeat.remove();
+		return result;
+	}, true);
+
+	test("Sources: Iterates Map entries, keyed by the Map key", async () => {
+		const { model, container, teardown } = await setupRepeat(new Map([['a', 1], ['b', 2]]), '<i>{{key}}={{value}}</i>');
+		const first = container.firstElementChild;
+		const newMap = new Map([['z', 0], ['a', 1], ['b', 2]]);
+		model.list = newMap;
+		crosstownBus.announce(Bus.getKey(model, 'list'), newMap);
+
+		await when(() => container.children.length === 3);
+		const result = [container.textContent, container.children[1] === first];
+		teardown();
+		return result;
+	}, ['z=0a=1b=2', true]);
+
+	test("Sources: Iterates Sets and plain objects", async () => {
+		const set = await setupRepeat(new Set(['x', 'y']), '<i>{{item}}</i>');
+		const dict = await setupRepeat({ a: 1, b: 2 }, '<i>{{key}}{{value}}</i>');
+		const result = [set.container.textContent, dict.container.textContent];
+		set.teardown();
+		dict.teardown();
+		return result;
+	}, ['xy', 'a1b2']);
+
+	test("Sources: count renders a range without a model", async () => {
+		const repeat = document.createElement('a-repeat');
+		repeat.innerHTML = '<template><i>{{item}}</i></template>';
+		repeat.count = 3;
+		document.body.append(repeat);
+		await when(() => repeat.querySelectorAll('i').length === 3);
+		const result = repeat.textContent;
+		repeat.remove();
+		return result;
+	}, '123');
+
+	test("Loop: Aliases and loop variables", async () => {
+		const { repeat, container, teardown } = await setupRepeat(['a', 'b', 'c'], '<i>{{i}}{{letter}}{{ $first ? "F" : "" }}{{ $last ? "L" : "" }}{{ $odd ? "o" : "" }}/{{ $count }}</i>');
+		repeat.as = 'letter';
+		repeat.indexAs = 'i';
+		await when(() => container.textContent.startsWith('0a'));
+		const result = container.textContent;
+		teardown();
+		return result;
+	}, '0aF/31bo/32cL/3');
+
+	test("Loop: Nested rows can read the enclosing row", async () => {
+		const { container, repeat, teardown } = await setupRepeat(
+			[{ id: 'A', lines: ['x', 'y'] }, { id: 'B', lines: ['z'] }],
+			'<p><a-repeat prop="lines" as="line"><template><b>{{order.id}}{{line}}{{$parent.index}}</b></template></a-repeat></p>'
+		);
+		repeat.as = 'order';
+		await when(() => container.querySelectorAll('b').length === 3 && container.textContent.includes('A'));
+		const result = container.textContent;
+		teardown();
+		return result;
+	}, 'Ax0Ay0Bz1');
+
+	test("Templates: Chooses templates with a templates rule", async () => {
+		const repeat = document.createElement('a-repeat');
+		repeat.innerHTML = '<template id="t-video"><v>{{n}}</v></template><template id="t-generic"><g>{{n}}</g></template>';
+		repeat.templates = { field: 'type', map: { video: '#t-video' }, default: '#t-generic' };
+		repeat.items = [{ type: 'video', n: 1 }, { type: 'text', n: 2 }];
+		document.body.append(repeat);
+
+		await when(() => repeat.querySelector('g'));
+		const result = [...repeat.children].filter(el => el.localName !== 'template').map(el => el.localName + el.textContent);
+		repeat.remove();
+		return result;
+	}, ['v1', 'g2']);
+
+	test("Templates: template-by names the template id", async () => {
+		const repeat = document.createElement('a-repeat');
+		repeat.innerHTML = '<template id="a"><i>a{{n}}</i></template><template id="b"><i>b{{n}}</i></template>';
+		repeat.templateBy = 'kind';
+		repeat.items = [{ kind: 'b', n: 1 }, { kind: 'a', n: 2 }];
+		document.body.append(repeat);
+
+		await when(() => repeat.querySelectorAll('i').length === 2);
+		const result = repeat.textContent;
+		repeat.remove();
+		return result;
+	}, 'b1a2');
+
+	test("Tree: Renders children recursively with $depth", async () => {
+		const tree = [{ id: 1, n: 'a', kids: [{ id: 2, n: 'b', kids: [{ id: 3, n: 'c' }] }] }, { id: 4, n: 'd' }];
+		const { container, repeat, teardown } = await setupRepeat(tree, '<li>{{$depth}}{{n}}<ul children></ul></li>', 'id');
+		repeat.childrenProp = 'kids';
+		await when(() => container.querySelectorAll('li').length === 4);
+		const result = [...container.querySelectorAll('li')].map(li => li.firstChild.nodeValue);
+		teardown();
+		return result;
+	}, ['0a', '1b', '2c', '0d']);
+
+	test("Tree: Splicing a child list updates only that level", async () => {
+		const tree = [{ id: 1, n: 'a', kids: [{ id: 2, n: 'b' }] }];
+		const { container, repeat, teardown } = await setupRepeat(tree, '<li>{{n}}<ul children></ul></li>', 'id');
+		repeat.childrenProp = 'kids';
+		await when(() => container.querySelectorAll('li').length === 2);
+		const child = container.querySelectorAll('li')[1];
+
+		ABind.splice(tree[0], 'kids', 0, 0, { id: 3, n: 'c' });
+		await when(() => container.querySelectorAll('li').length === 3);
+		const result = [container.querySelectorAll('li')[2] === child, container.textContent];
+		teardown();
+		return result;
+	}, [true, 'acb']);
+
+	test("Patching: Rows follow in-place edits of reactive items", async () => {
+		const model = reactive({ list: [{ name: 'a' }, { name: 'b' }] });
+		const repeat = document.createElement('a-repeat');
+		repeat.innerHTML = '<template><i>{{name}}</i></template>';
+		repeat.model = model;
+		repeat.setAttribute('prop', 'list');
+		document.body.append(repeat);
+		await when(() => repeat.textContent === 'ab');
+
+		model.list[1].name = 'x';
+		await when(() => repeat.textContent === 'ax');
+		model.list[1].name = 'y';
+		await when(() => repeat.textContent === 'ay');
+		const result = repeat.textContent;
+		repeat.remove();
+		return result;
+	}, 'ay');
+
+	test("Patching: Keyed items re-apply their bindings", async () => {
+		const { model, container, teardown } = await setupRepeat([{ id: 1, v: 'a' }], '<b>{{v}}</b>', 'id');
+		const first = container.firstElementChild;
+		const newList = [{ id: 1, v: 'z' }];
+		model.list = newList;
+		crosstownBus.announce(Bus.getKey(model, 'list'), newList);
+
+		await when(() => container.textContent === 'z');
+		const result = container.firstElementChild === first;
+		teardown();
+		return result;
+	}, true);
+});
+
+group("AIf", () => {
+	async function setupIf(model, templates, attrs = {}) {
+		const el = document.createElement('a-if');
+		el.model = model;
+		for (const [k, v] of Object.entries(attrs)) el.setAttribute(k, v);
+		el.innerHTML = templates;
+		document.body.append(el);
+		await when(() => el.state !== null);
+		return el;
+	}
+
+	test("Stamps the template when truthy, the else template when falsy", async () => {
+		const model = { user: { loggedIn: false } };
+		const el = await setupIf(model,
+			'<template><p>Welcome</p></template><template else><p>Log in</p></template>',
+			{ prop: 'user.loggedIn' }
+		);
+		const before = el.querySelector('p').textContent;
+
+		model.user.loggedIn = true;
+		ABind.update(model, 'user.loggedIn', true);
+		const after = el.querySelectorAll('p').length + ':' + el.querySelector('p').textContent;
+		el.remove();
+		return { before, after };
+	}, { before: 'Log in', after: '1:Welcome' });
+
+	test("not: Inverts the condition", async () => {
+		const el = await setupIf({ busy: false }, '<template><span>Idle</span></template>', { prop: 'busy', not: '' });
+		const text = el.textContent;
+		el.remove();
+		return text;
+	}, 'Idle');
+
+	test("Tears down stamped bindings and gives them the model", async () => {
+		const model = { show: true, name: 'Ada' };
+		const el = await setupIf(model, '<template><a-bind prop="name"><input></a-bind></template>', { prop: 'show' });
+		const input = el.querySelector('input');
+		await when(() => input.value === 'Ada');
+		const bind = el.querySelector('a-bind');
+
+		model.show = false;
+		ABind.update(model, 'show', false);
+		const result = { removed: !bind.isConnected, bound: bind.bound };
+		el.remove();
+		return result;
+	}, { removed: true, bound: null });
+
+	test("Re-stamps against a new model with the same truthiness", async () => {
+		const el = await setupIf({ show: true, name: 'Ada' }, '<template><a-bind prop="name"><input></a-bind></template>', { prop: 'show' });
+		const first = el.querySelector('input');
+		await when(() => first.value === 'Ada');
+
+		const model = { show: true, name: 'Grace' };
+		el.model = model;
+		const input = el.querySelector('input');
+		await when(() => input.value === 'Grace');
+		const result = { replaced: !first.isConnected, value: input.value, model: el.querySelector('a-bind').model === model };
+		el.remove();
+		return result;
+	}, { replaced: true, value: 'Grace', model: true });
+
+	test("a-show: Toggles hidden instead of stamping", async () => {
+		const model = { open: false };
+		const el = document.createElement('a-show');
+		el.model = model;
+		el.setAttribute('prop', 'open');
+		el.innerHTML = '<p>Details</p>';
+		document.body.append(el);
+		await when(() => el.state !== null);
+		const hidden = el.hidden;
+
+		model.open = true;
+		ABind.update(model, 'open', true);
+		const result = { hidden, shown: !el.hidden, kept: !!el.querySelector('p') };
+		el.remove();
+		return result;
+	}, { hidden: true, shown: true, kept: true });
+});
+
+group("ASwitch", () => {
+	async function setupSwitch(model) {
+		const el = document.createElement('a-switch');
+		el.model = model;
+		el.setAttribute('prop', 'status');
+		el.innerHTML = `
+			<template case="loading"><p>Loading...</p></template>
+			<template case="error"><p>Error: {{message}}</p></template>
+			<template default><p>Ready</p></template>`;
+		document.body.append(el);
+		await when(() => el.branch !== null);
+		return el;
+	}
+
+	test("Stamps the matching case and resolves tokens against the model", async () => {
+		const model = { status: 'error', message: 'Offline' };
+		const el = await setupSwitch(model);
+		const text = el.querySelector('p').textContent;
+		el.remove();
+		return text;
+	}, 'Error: Offline');
+
+	test("Switches branches and falls back to default", async () => {
+		const model = { status: 'loading' };
+		const el = await setupSwitch(model);
+		const first = el.branch;
+
+		model.status = 'done';
+		ABind.update(model, 'status', 'done');
+		const result = { first, second: el.branch, text: el.textContent.trim(), count: el.querySelectorAll('p').length };
+		el.remove();
+		return result;
+	}, { first: 'loading', second: 'default', text: 'Ready', count: 1 });
+
+	test("Updates tokens when they change within the same branch", async () => {
+		const model = { status: 'error', message: 'Offline' };
+		const el = await setupSwitch(model);
+		const p = el.querySelector('p');
+
+		model.message = 'Timed out';
+		ABind.update(model, 'message', 'Timed out');
+		const result = { text: p.textContent, same: el.querySelector('p') === p };
+		el.remove();
+		return result;
+	}, { text: 'Error: Timed out', same: true });
 });
 
 runner.run();